@@ -0,0 +1,79 @@
+/* Builds responsive variants of the photos in public/images.
+ *
+ *   npm run images:build
+ *
+ * Every JPG, PNG and WebP file gets AVIF and WebP copies at several widths in
+ * public/images/optimized/, and src/data/images.json records them together
+ * with the original size and a tiny blurred placeholder for the
+ * ResponsiveImage component. It runs before `npm start`, `npm run build` and
+ * `npm test`; both outputs are git-ignored. Variants newer than their source
+ * are reused, so only new or changed photos cost anything.
+ */
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'public', 'images');
+const OUT_DIR = path.join(SOURCE_DIR, 'optimized');
+const MANIFEST_OUT = path.join(ROOT, 'src', 'data', 'images.json');
+
+const WIDTHS = [480, 960, 1600, 2400];
+const FORMATS = {
+  avif: { quality: 50 },
+  webp: { quality: 72 }
+};
+const PLACEHOLDER_WIDTH = 24;
+
+const listImages = (dir) => fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+  const file = path.join(dir, entry.name);
+  if (entry.isDirectory()) return file === OUT_DIR ? [] : listImages(file);
+  return /\.(jpe?g|png|webp)$/i.test(entry.name) ? [file] : [];
+});
+
+const isUpToDate = (source, target) =>
+  fs.existsSync(target) && fs.statSync(target).mtimeMs >= fs.statSync(source).mtimeMs;
+
+// Public URLs always use forward slashes
+const toUrlPath = (file, from) => path.relative(from, file).split(path.sep).join('/');
+
+const buildImage = async (file) => {
+  const relative = toUrlPath(file, SOURCE_DIR);
+  const base = relative.replace(/\.[^.]+$/, '');
+  const { width, height } = await sharp(file).metadata();
+  // Never upscale: the largest variant is the original width, capped at the widest breakpoint
+  const widths = [...new Set([...WIDTHS.filter((w) => w < width), Math.min(width, WIDTHS[WIDTHS.length - 1])])];
+
+  const sources = {};
+  for (const [format, options] of Object.entries(FORMATS)) {
+    sources[format] = [];
+    for (const variantWidth of widths) {
+      const target = path.join(OUT_DIR, `${base}-${variantWidth}.${format}`);
+      if (!isUpToDate(file, target)) {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        await sharp(file).resize({ width: variantWidth }).toFormat(format, options).toFile(target);
+      }
+      sources[format].push({ width: variantWidth, src: `/images/${toUrlPath(target, SOURCE_DIR)}` });
+    }
+  }
+
+  const placeholder = await sharp(file).resize({ width: PLACEHOLDER_WIDTH }).blur(1).webp({ quality: 40 }).toBuffer();
+  return [`/images/${relative}`, { width, height, sources, placeholder: `data:image/webp;base64,${placeholder.toString('base64')}` }];
+};
+
+const main = async () => {
+  const images = {};
+  for (const file of listImages(SOURCE_DIR).sort()) {
+    const [url, entry] = await buildImage(file);
+    images[url] = entry;
+    console.log(`${url}: ${entry.sources.webp.map((source) => source.width).join(', ')}px`);
+  }
+
+  fs.writeFileSync(MANIFEST_OUT, `${JSON.stringify({ images }, null, 2)}\n`);
+  console.log(`Wrote ${Object.keys(images).length} image(s) to ${path.relative(ROOT, MANIFEST_OUT)}`);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+/* Encrypts the private secret gardens so their content never ships in plain text.
+ *
+ *   npm run gardens:encrypt [-- path/to/gardens.source.json]
+ *
+ * The source file (git-ignored, see gardens.source.example.json) lists every
+ * garden with its access code, slideshow images and dedication per language.
+ * This script writes:
+ *
+ *   src/data/gardens.encrypted.json  bundled with the app: gradient fallbacks plus
+ *                                    the images and dedication as AES-GCM ciphertext,
+ *                                    keyed by PBKDF2 from the garden's access code
+ *   server/gardens.json              salted code hashes for the verification endpoint
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { hashSecretCode } = require('../server/secretGarden');
+
+const ROOT = path.join(__dirname, '..');
+const SOURCE_FILE = path.resolve(process.argv[2] || path.join(ROOT, 'gardens.source.json'));
+const CLIENT_OUT = path.join(ROOT, 'src', 'data', 'gardens.encrypted.json');
+const SERVER_OUT = path.join(ROOT, 'server', 'gardens.json');
+
+const PBKDF2_ITERATIONS = 600000;
+
+// Matches what Web Crypto produces/accepts: the GCM auth tag is appended to the ciphertext
+const encryptContent = (content, code) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.pbkdf2Sync(code, salt, PBKDF2_ITERATIONS, 32, 'sha256');
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([
+    cipher.update(JSON.stringify(content), 'utf8'),
+    cipher.final(),
+    cipher.getAuthTag()
+  ]);
+
+  return {
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: salt.toString('base64') },
+    iv: iv.toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+};
+
+const writeJson = (file, value) => {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(value, null, 2)}\n`);
+};
+
+if (!fs.existsSync(SOURCE_FILE)) {
+  console.error(`Garden source not found: ${SOURCE_FILE}`);
+  console.error('Copy gardens.source.example.json to gardens.source.json and fill it in.');
+  process.exit(1);
+}
+
+const { gardens } = JSON.parse(fs.readFileSync(SOURCE_FILE, 'utf8'));
+
+writeJson(CLIENT_OUT, {
+  gardens: gardens.map(({ id, code, images, dedication }) => ({
+    id,
+    // Gradients stay readable so Tailwind keeps their classes in the build
+    gradients: images.map((image) => image.gradient),
+    ...encryptContent({ images: images.map((image) => image.src), dedication }, code)
+  }))
+});
+
+writeJson(SERVER_OUT, {
+  gardens: gardens.map(({ id, code }) => ({ id, codeHash: hashSecretCode(code) }))
+});
+
+console.log(`Encrypted ${gardens.length} garden(s) into ${path.relative(ROOT, CLIENT_OUT)} and ${path.relative(ROOT, SERVER_OUT)}`);
@@ -0,0 +1,35 @@
+/* Writes build/sitemap.xml and adds it to build/robots.txt.
+ *
+ *   REACT_APP_SITE_URL=https://example.com npm run build
+ *
+ * Runs after every build. The sitemap lists each public page and event in
+ * every language with its hreflang alternates, using the same metadata the
+ * app puts in the page head (src/seo.js). Sitemaps need absolute URLs, so
+ * nothing is written when REACT_APP_SITE_URL is not set.
+ *
+ * Secret pages are not disallowed in robots.txt: crawlers that may not fetch
+ * a page never see its noindex tag and can still list the bare URL.
+ */
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+require('react-scripts/config/env');
+require('./register-src');
+
+const fs = require('fs');
+const path = require('path');
+const { buildSitemap, addSitemapToRobots } = require('../src/seo');
+
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+const siteUrl = (process.env.REACT_APP_SITE_URL || '').replace(/\/+$/, '');
+
+if (!siteUrl) {
+  console.warn('REACT_APP_SITE_URL is not set, skipping sitemap.xml');
+  process.exit(0);
+}
+
+const sitemapUrl = `${siteUrl}/sitemap.xml`;
+const robotsFile = path.join(BUILD_DIR, 'robots.txt');
+const robots = fs.existsSync(robotsFile) ? fs.readFileSync(robotsFile, 'utf8') : 'User-agent: *\nDisallow:\n';
+
+fs.writeFileSync(path.join(BUILD_DIR, 'sitemap.xml'), buildSitemap(siteUrl));
+fs.writeFileSync(robotsFile, addSitemapToRobots(robots, sitemapUrl));
+console.log(`Wrote ${sitemapUrl}`);
@@ -0,0 +1,92 @@
+/* Prerenders the public pages to static HTML after a build.
+ *
+ *   npm run build   (runs it afterwards)
+ *
+ * Every page in the sitemap (see src/seo.js) is rendered in every language
+ * and written to build/<path>/index.html with its own <html lang dir>, title
+ * and share tags, so the content shows before any JavaScript runs. The app
+ * then hydrates that markup (src/index.js).
+ *
+ * Canonical, hreflang and share image tags need absolute URLs, so they are
+ * left out when REACT_APP_SITE_URL is not set; the app adds them once the
+ * page runs in the browser.
+ *
+ * The secret gardens, the admin dashboard and the thank-you page are never
+ * prerendered. build/shell.html keeps the empty page: hosts should serve it
+ * for those and any other path without a file of its own, and the service
+ * worker precaches it in place of index.html.
+ */
+process.env.NODE_ENV = process.env.NODE_ENV || 'production';
+require('react-scripts/config/env');
+require('./register-src');
+
+const fs = require('fs');
+const path = require('path');
+const React = require('react');
+const { prerenderToNodeStream } = require('react-dom/static');
+const { default: App } = require('../src/App');
+const { LOCALES, SUPPORTED_LANGUAGES, loadLocale } = require('../src/i18n');
+const { buildPath } = require('../src/routes');
+const { listIndexedRoutes, getPageMeta, renderPageHead } = require('../src/seo');
+
+const BUILD_DIR = path.join(__dirname, '..', 'build');
+const SHELL_FILE = path.join(BUILD_DIR, 'shell.html');
+const SERVICE_WORKER_FILE = path.join(BUILD_DIR, 'service-worker.js');
+
+// Unlike renderToString this waits for the lazily loaded page instead of sending its loading state
+const renderMarkup = async (pagePath) => {
+  const { prelude } = await prerenderToNodeStream(React.createElement(App, { path: pagePath }));
+  const chunks = [];
+  for await (const chunk of prelude) chunks.push(chunk);
+  return Buffer.concat(chunks).toString('utf8');
+};
+
+// Function replacements so `$` in page text is not read as a pattern
+const renderPage = async (shell, page, lang, params) => {
+  const pagePath = buildPath(page, lang, params);
+  const markup = await renderMarkup(pagePath);
+
+  return shell
+    .replace(/<html[^>]*>/, () => `<html lang="${lang}" dir="${LOCALES[lang].dir}">`)
+    .replace(/(<link rel="manifest" href="[^"]*\/)manifest\.json"/, (_, prefix) => `${prefix}${LOCALES[lang].manifest || 'manifest.json'}"`)
+    .replace(/<title>[\s\S]*?<\/title>/, '')
+    .replace(/<meta name="description"[^>]*>/, '')
+    .replace('</head>', () => `${renderPageHead(getPageMeta(page, lang, params))}</head>`)
+    .replace('<div id="root"></div>', () => `<div id="root" data-prerendered="${pagePath}">${markup}</div>`);
+};
+
+// The precache entry for index.html carries the shell's revision, and shell.html is a
+// byte-for-byte copy, so only the URL changes
+const precacheShell = () => {
+  if (!fs.existsSync(SERVICE_WORKER_FILE)) return;
+  const worker = fs.readFileSync(SERVICE_WORKER_FILE, 'utf8');
+  fs.writeFileSync(SERVICE_WORKER_FILE, worker.replace(/(url['"]?\s*:\s*['"][^'"]*\/)index\.html(['"])/, '$1shell.html$2'));
+};
+
+const main = async () => {
+  if (!process.env.REACT_APP_SITE_URL) {
+    console.warn('REACT_APP_SITE_URL is not set, prerendering pages without canonical, hreflang and share image tags');
+  }
+
+  // Re-running keeps the original page as the template
+  if (!fs.existsSync(SHELL_FILE)) fs.copyFileSync(path.join(BUILD_DIR, 'index.html'), SHELL_FILE);
+  precacheShell();
+  const shell = fs.readFileSync(SHELL_FILE, 'utf8');
+  await Promise.all(SUPPORTED_LANGUAGES.map(loadLocale));
+
+  let count = 0;
+  for (const { page, params } of listIndexedRoutes()) {
+    for (const lang of SUPPORTED_LANGUAGES) {
+      const file = path.join(BUILD_DIR, buildPath(page, lang, params), 'index.html');
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(file, await renderPage(shell, page, lang, params));
+      count += 1;
+    }
+  }
+  console.log(`Prerendered ${count} pages`);
+};
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
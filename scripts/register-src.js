@@ -0,0 +1,27 @@
+/* Lets build scripts require the app's modules from src/.
+ *
+ *   require('./register-src');
+ *   const { buildSitemap } = require('../src/seo');
+ *
+ * Files under src/ are compiled on the fly for the running Node version, with
+ * ES modules turned into CommonJS and JSX into production React calls. JSON
+ * imports (locales, content files) load natively.
+ */
+const path = require('path');
+const babel = require('@babel/core');
+const { addHook } = require('pirates');
+
+const SRC_DIR = path.join(__dirname, '..', 'src') + path.sep;
+
+addHook(
+  (code, filename) => babel.transformSync(code, {
+    filename,
+    babelrc: false,
+    configFile: false,
+    presets: [
+      [require.resolve('@babel/preset-env'), { targets: { node: 'current' }, modules: 'commonjs' }],
+      [require.resolve('@babel/preset-react'), { runtime: 'automatic' }]
+    ]
+  }).code,
+  { exts: ['.js'], matcher: (filename) => filename.startsWith(SRC_DIR) }
+);
@@ -0,0 +1,94 @@
+/* Fills src/data/videos.json from the YouTube channel.
+ *
+ *   YOUTUBE_API_KEY=... npm run videos:sync
+ *
+ * Lists every public upload of the channel (YOUTUBE_CHANNEL, default
+ * @divein4e) with the YouTube Data API and records each video's duration and
+ * largest thumbnail. Videos already in the catalog keep their translated
+ * titles, category and place, and ones no longer public are dropped. New
+ * uploads are appended with their English title only and no category. Give
+ * them a category and an Arabic title before committing: `npm test` fails
+ * until every video has both.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const CATALOG_FILE = path.join(__dirname, '..', 'src', 'data', 'videos.json');
+const API = 'https://www.googleapis.com/youtube/v3';
+const API_KEY = process.env.YOUTUBE_API_KEY;
+const CHANNEL = process.env.YOUTUBE_CHANNEL || '@divein4e';
+
+// The API allows up to 50 ids per request
+const PAGE_SIZE = 50;
+const THUMBNAIL_SIZES = ['maxres', 'standard', 'high', 'medium', 'default'];
+
+const request = async (resource, params) => {
+  const url = new URL(`${API}/${resource}`);
+  Object.entries({ ...params, key: API_KEY }).forEach(([name, value]) => url.searchParams.set(name, value));
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`YouTube API ${resource} answered ${response.status}: ${await response.text()}`);
+  return response.json();
+};
+
+// "PT1H2M3S" -> 3723
+const parseDuration = (iso) => {
+  const [, hours = 0, minutes = 0, seconds = 0] = /^PT(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/.exec(iso) || [];
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+const listUploadIds = async () => {
+  const { items = [] } = await request('channels', { part: 'contentDetails', forHandle: CHANNEL });
+  if (!items.length) throw new Error(`No YouTube channel found for ${CHANNEL}`);
+  const playlistId = items[0].contentDetails.relatedPlaylists.uploads;
+
+  const ids = [];
+  let pageToken = '';
+  do {
+    const page = await request('playlistItems', { part: 'contentDetails', playlistId, maxResults: PAGE_SIZE, pageToken });
+    ids.push(...page.items.map((item) => item.contentDetails.videoId));
+    pageToken = page.nextPageToken || '';
+  } while (pageToken);
+  return ids;
+};
+
+const fetchVideos = async (ids) => {
+  const videos = [];
+  for (let i = 0; i < ids.length; i += PAGE_SIZE) {
+    const { items } = await request('videos', { part: 'snippet,contentDetails,status', id: ids.slice(i, i + PAGE_SIZE).join(',') });
+    videos.push(...items.filter((item) => item.status.privacyStatus === 'public'));
+  }
+  return videos;
+};
+
+const main = async () => {
+  if (!API_KEY) throw new Error('Set YOUTUBE_API_KEY to a YouTube Data API key');
+
+  const catalog = JSON.parse(fs.readFileSync(CATALOG_FILE, 'utf8'));
+  const known = new Map(catalog.videos.map((video) => [video.id, video]));
+  const uploads = await fetchVideos(await listUploadIds());
+
+  const synced = uploads.map((upload) => {
+    const size = THUMBNAIL_SIZES.find((name) => upload.snippet.thumbnails[name]);
+    return {
+      id: upload.id,
+      title: { en: upload.snippet.title },
+      category: null,
+      ...known.get(upload.id),
+      duration: parseDuration(upload.contentDetails.duration),
+      thumbnail: upload.snippet.thumbnails[size].url
+    };
+  });
+
+  // Catalog order first, then new uploads newest first as the API lists them
+  const rank = (video) => (known.has(video.id) ? catalog.videos.indexOf(known.get(video.id)) : catalog.videos.length);
+  const videos = synced.sort((a, b) => rank(a) - rank(b));
+  const added = videos.filter((video) => !known.has(video.id));
+
+  fs.writeFileSync(CATALOG_FILE, `${JSON.stringify({ ...catalog, videos }, null, 2)}\n`);
+  console.log(`Synced ${videos.length} video(s), ${added.length} new${added.length ? ': ' : ''}${added.map((video) => video.id).join(', ')}`);
+};
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
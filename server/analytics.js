@@ -0,0 +1,42 @@
+const { HttpError, readJsonBody, sendJson } = require('./http');
+
+// Event types sent by src/analytics.js; anything else is ignored
+const EVENT_TYPES = ['pageview', 'outbound', 'suggestion', 'vital'];
+
+const MAX_EVENTS_PER_BATCH = 50;
+const MAX_FIELDS_PER_EVENT = 10;
+const MAX_FIELD_LENGTH = 500;
+
+// Only the most recent events are kept
+const MAX_STORED_EVENTS = 5000;
+
+// Events are flat: short strings and finite numbers only
+const cleanEvent = (event, receivedAt) => {
+  if (!event || !EVENT_TYPES.includes(event.type)) return null;
+
+  const clean = {};
+  Object.entries(event).slice(0, MAX_FIELDS_PER_EVENT).forEach(([key, value]) => {
+    if (typeof value === 'string') clean[key] = value.slice(0, MAX_FIELD_LENGTH);
+    else if (typeof value === 'number' && Number.isFinite(value)) clean[key] = value;
+  });
+  return { ...clean, receivedAt };
+};
+
+// Test collector for analytics batches; beacons arrive as text/plain, so the content type is not checked
+const createAnalyticsRoutes = (store) => ({
+  'POST /api/analytics': async (req, res) => {
+    const { events } = await readJsonBody(req);
+    if (!Array.isArray(events) || events.length === 0 || events.length > MAX_EVENTS_PER_BATCH) {
+      throw new HttpError(422, 'Invalid analytics batch', { events: 'invalid' });
+    }
+
+    const receivedAt = new Date().toISOString();
+    const accepted = events.map((event) => cleanEvent(event, receivedAt)).filter(Boolean);
+    if (accepted.length > 0) {
+      store.update('analytics', (stored) => [...stored, ...accepted].slice(-MAX_STORED_EVENTS));
+    }
+    sendJson(res, 202, { accepted: accepted.length });
+  }
+});
+
+module.exports = { createAnalyticsRoutes };
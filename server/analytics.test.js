@@ -0,0 +1,38 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./testServer');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+const storedEvents = () => JSON.parse(fs.readFileSync(path.join(server.dataDir, 'analytics.json'), 'utf8'));
+
+test('keeps known event types as flat strings and numbers', async () => {
+  const events = [
+    { type: 'pageview', page: 'home', lang: 'ar', path: '/ar' },
+    { type: 'vital', name: 'LCP', value: 1200, extra: { nested: true } },
+    { type: 'keystroke', key: 'a' }
+  ];
+  const { status, body } = await server.request('POST', '/api/analytics', { body: { events } });
+  assert.equal(status, 202);
+  assert.equal(body.accepted, 2);
+
+  const [pageview, vital] = storedEvents();
+  assert.equal(pageview.path, '/ar');
+  assert.equal(vital.value, 1200);
+  assert.equal(Object.hasOwn(vital, 'extra'), false);
+});
+
+test('rejects empty and oversized batches', async () => {
+  assert.equal((await server.request('POST', '/api/analytics', { body: { events: [] } })).status, 422);
+
+  const events = Array.from({ length: 51 }, () => ({ type: 'pageview' }));
+  assert.equal((await server.request('POST', '/api/analytics', { body: { events } })).status, 422);
+});
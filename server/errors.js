@@ -0,0 +1,38 @@
+const crypto = require('crypto');
+const { HttpError, readJsonBody, sendJson } = require('./http');
+
+// Only the most recent reports are kept
+const MAX_STORED_ERRORS = 500;
+
+// Fields a report may carry (see src/errorReporter.js) and how much of each is kept
+const FIELD_LIMITS = {
+  name: 200,
+  message: 2000,
+  stack: 4000,
+  componentStack: 4000,
+  page: 100,
+  lang: 10,
+  path: 500,
+  timestamp: 40
+};
+
+// Collects render errors reported by the site into errors.json
+const createErrorRoutes = (store) => ({
+  'POST /api/errors': async (req, res) => {
+    const body = await readJsonBody(req);
+    if (typeof body.message !== 'string' || !body.message.trim()) {
+      throw new HttpError(422, 'Invalid error report', { message: 'required' });
+    }
+
+    const report = { id: crypto.randomUUID(), receivedAt: new Date().toISOString() };
+    Object.entries(FIELD_LIMITS).forEach(([field, max]) => {
+      if (typeof body[field] === 'string') report[field] = body[field].slice(0, max);
+    });
+
+    store.update('errors', (errors) => [...errors, report].slice(-MAX_STORED_ERRORS));
+    console.warn(`Error reported on ${report.path || 'an unknown page'}: ${report.message}`);
+    sendJson(res, 201, { id: report.id });
+  }
+});
+
+module.exports = { createErrorRoutes };
@@ -0,0 +1,34 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { startTestServer } = require('./testServer');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+const storedErrors = () => JSON.parse(fs.readFileSync(path.join(server.dataDir, 'errors.json'), 'utf8'));
+
+test('stores reports with known fields only, trimmed to their limits', async () => {
+  const { status, body } = await server.request('POST', '/api/errors', {
+    body: { name: 'TypeError', message: 'x is undefined', page: 'events', lang: 'fr', stack: 's'.repeat(5000), email: 'a@b.c' }
+  });
+  assert.equal(status, 201);
+
+  const report = storedErrors().find((stored) => stored.id === body.id);
+  assert.equal(report.message, 'x is undefined');
+  assert.equal(report.page, 'events');
+  assert.equal(report.stack.length, 4000);
+  assert.equal(Object.hasOwn(report, 'email'), false);
+});
+
+test('rejects reports without a message', async () => {
+  const { status, body } = await server.request('POST', '/api/errors', { body: { name: 'Error' } });
+  assert.equal(status, 422);
+  assert.deepEqual(body.details, { message: 'required' });
+});
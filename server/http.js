@@ -0,0 +1,66 @@
+// Request/response helpers shared by the reference server routes
+const crypto = require('crypto');
+
+const MAX_BODY_BYTES = 64 * 1024;
+
+class HttpError extends Error {
+  constructor(status, message, details) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+
+  req.on('data', (chunk) => {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) {
+      reject(new HttpError(413, 'Request body too large'));
+      req.destroy();
+      return;
+    }
+    chunks.push(chunk);
+  });
+
+  req.on('end', () => {
+    if (chunks.length === 0) return resolve({});
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+      return reject(new HttpError(400, 'Invalid JSON body'));
+    }
+    // Routes read fields straight off the body, so null, arrays and plain values are turned away here
+    if (body === null || typeof body !== 'object' || Array.isArray(body)) {
+      return reject(new HttpError(400, 'JSON body must be an object'));
+    }
+    resolve(body);
+  });
+
+  req.on('error', reject);
+});
+
+const sendJson = (res, status, payload) => {
+  res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+  res.end(payload === undefined ? '' : JSON.stringify(payload));
+};
+
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
+// Guards admin-only routes with a static bearer token
+const requireBearerToken = (req, token) => {
+  const [scheme, value] = (req.headers.authorization || '').split(' ');
+  if (scheme !== 'Bearer' || !value || !safeEqual(value, token)) {
+    throw new HttpError(401, 'Unauthorized');
+  }
+};
+
+module.exports = { HttpError, readJsonBody, sendJson, requireBearerToken };
@@ -0,0 +1,31 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Readable } = require('stream');
+const { HttpError, readJsonBody } = require('./http');
+
+// A request body as the server would stream it
+const requestWith = (...chunks) => Readable.from(chunks.map((chunk) => Buffer.from(chunk)));
+
+test('reads a JSON object split across chunks', async () => {
+  assert.deepEqual(await readJsonBody(requestWith('{"title":', '"Reef"}')), { title: 'Reef' });
+});
+
+test('reads an empty body as an empty object', async () => {
+  assert.deepEqual(await readJsonBody(requestWith()), {});
+});
+
+test('rejects bodies that are not JSON objects', async () => {
+  for (const rawBody of ['null', '[]', '42', '"events"']) {
+    await assert.rejects(readJsonBody(requestWith(rawBody)), { name: 'HttpError', status: 400, message: 'JSON body must be an object' }, rawBody);
+  }
+});
+
+test('rejects invalid JSON', async () => {
+  await assert.rejects(readJsonBody(requestWith('{')), { status: 400, message: 'Invalid JSON body' });
+});
+
+test('rejects bodies over 64 KB', async () => {
+  const error = await readJsonBody(requestWith('x'.repeat(64 * 1024 + 1))).catch((rejection) => rejection);
+  assert.ok(error instanceof HttpError);
+  assert.equal(error.status, 413);
+});
@@ -0,0 +1,121 @@
+/* Local reference server for DiveIn4e.
+ *
+ * Implements the backend endpoints the site talks to, storing everything as
+ * JSON files so the whole flow can be exercised offline:
+ *
+ *   npm run server
+ *
+ * Configuration (environment variables):
+ *   SERVER_PORT      port to listen on (default 4000)
+ *   SERVER_DATA_DIR  where JSON files are written (default server/data)
+ *   ALLOWED_ORIGIN   CORS origin allowed to call the API (default *)
+ *   ADMIN_TOKEN      bearer token for the moderation endpoints
+ *                    (a random one is generated and printed when unset)
+ *   SECRET_GARDENS_FILE       garden code hashes (default server/gardens.json,
+ *                             written by `npm run gardens:encrypt`)
+ *   SECRET_GARDEN_SESSION_TTL minutes an unlocked garden stays open in the
+ *                             browser (default 30)
+ *   TRUST_PROXY      set to 1 to rate-limit by X-Forwarded-For
+ */
+const crypto = require('crypto');
+const http = require('http');
+const path = require('path');
+const { HttpError, sendJson } = require('./http');
+const { createJsonStore } = require('./jsonStore');
+const { createSuggestionRoutes } = require('./suggestions');
+const { createTopicRoutes } = require('./topics');
+const { createSecretGardenRoutes, loadGardens } = require('./secretGarden');
+const { createErrorRoutes } = require('./errors');
+const { createAnalyticsRoutes } = require('./analytics');
+
+const PORT = Number(process.env.SERVER_PORT) || 4000;
+const DATA_DIR = process.env.SERVER_DATA_DIR || path.join(__dirname, 'data');
+const ALLOWED_ORIGIN = process.env.ALLOWED_ORIGIN || '*';
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || crypto.randomBytes(18).toString('base64url');
+const SECRET_GARDEN = {
+  gardensFile: process.env.SECRET_GARDENS_FILE || path.join(__dirname, 'gardens.json'),
+  sessionTtlMs: (Number(process.env.SECRET_GARDEN_SESSION_TTL) || 30) * 60 * 1000,
+  trustProxy: process.env.TRUST_PROXY === '1'
+};
+
+// Malformed escapes like %E0%A4%A are the client's mistake, not a server error
+const decodeSegment = (segment) => {
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    throw new HttpError(400, 'Malformed URL');
+  }
+};
+
+// Route keys look like "PATCH /api/suggestions/:id"; named segments end up in req.params
+const matchRoute = (routes, method, pathname) => {
+  const segments = pathname.split('/').filter(Boolean);
+
+  for (const key of Object.keys(routes)) {
+    const [routeMethod, routePath] = key.split(' ');
+    const routeSegments = routePath.split('/').filter(Boolean);
+    if (routeMethod !== method || routeSegments.length !== segments.length) continue;
+
+    const params = {};
+    const matches = routeSegments.every((segment, i) => {
+      if (segment.startsWith(':')) {
+        params[segment.slice(1)] = decodeSegment(segments[i]);
+        return true;
+      }
+      return segment === segments[i];
+    });
+
+    if (matches) return { handler: routes[key], params };
+  }
+
+  return null;
+};
+
+const createServer = ({ dataDir = DATA_DIR, adminToken = ADMIN_TOKEN, secretGarden = SECRET_GARDEN } = {}) => {
+  const store = createJsonStore(dataDir);
+  const routes = {
+    ...createSuggestionRoutes(store, { adminToken }),
+    ...createTopicRoutes(store),
+    ...createSecretGardenRoutes({ ...secretGarden, gardens: loadGardens(secretGarden.gardensFile) }),
+    ...createErrorRoutes(store),
+    ...createAnalyticsRoutes(store)
+  };
+
+  return http.createServer(async (req, res) => {
+    res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    // Only the path and query are used, so a fixed base keeps a bad Host header from mattering
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    try {
+      const match = matchRoute(routes, req.method, pathname);
+      if (!match) throw new HttpError(404, 'Not found');
+      req.params = match.params;
+      req.query = searchParams;
+      await match.handler(req, res);
+    } catch (error) {
+      const status = error instanceof HttpError ? error.status : 500;
+      if (status === 500) console.error(error);
+      sendJson(res, status, { error: error.message, details: error.details });
+    }
+  });
+};
+
+if (require.main === module) {
+  createServer().listen(PORT, () => {
+    console.log(`DiveIn4e reference server listening on http://localhost:${PORT}`);
+    if (!process.env.ADMIN_TOKEN) {
+      console.log(`Admin token for this session: ${ADMIN_TOKEN}`);
+    }
+  });
+}
+
+module.exports = { createServer };
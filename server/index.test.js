@@ -0,0 +1,38 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const { startTestServer } = require('./testServer');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+// fetch refuses to send malformed requests, so these go over a plain socket
+const sendRaw = (lines) => new Promise((resolve, reject) => {
+  const socket = net.connect(server.port, '127.0.0.1');
+  let response = '';
+  socket.on('data', (chunk) => {
+    response += chunk;
+  });
+  socket.on('end', () => resolve(Number(response.split(' ')[1])));
+  socket.on('error', reject);
+  socket.end(`${lines.join('\r\n')}\r\nConnection: close\r\n\r\n`);
+});
+
+test('answers 404 for unknown routes', async () => {
+  assert.equal((await server.request('GET', '/api/nothing-here')).status, 404);
+});
+
+test('answers 400 for malformed escapes in a path segment and keeps running', async () => {
+  const status = await sendRaw(['DELETE /api/suggestions/%E0%A4%A HTTP/1.1', 'Host: localhost']);
+  assert.equal(status, 400);
+  assert.equal((await server.request('GET', '/api/topics')).status, 200);
+});
+
+test('ignores a malformed Host header', async () => {
+  assert.equal(await sendRaw(['GET /api/topics HTTP/1.1', 'Host: a b']), 200);
+});
@@ -0,0 +1,33 @@
+const fs = require('fs');
+const path = require('path');
+
+// Tiny JSON-file persistence for the local reference server.
+// Each collection lives in its own file under the data directory.
+const createJsonStore = (dataDir) => {
+  fs.mkdirSync(dataDir, { recursive: true });
+
+  const fileFor = (collection) => path.join(dataDir, `${collection}.json`);
+
+  const read = (collection, fallback = []) => {
+    try {
+      return JSON.parse(fs.readFileSync(fileFor(collection), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+  };
+
+  const write = (collection, value) => {
+    const file = fileFor(collection);
+    const tmpFile = `${file}.tmp`;
+    fs.writeFileSync(tmpFile, JSON.stringify(value, null, 2));
+    fs.renameSync(tmpFile, file);
+    return value;
+  };
+
+  const update = (collection, updater, fallback = []) => write(collection, updater(read(collection, fallback)));
+
+  return { read, write, update };
+};
+
+module.exports = { createJsonStore };
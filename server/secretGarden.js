@@ -0,0 +1,101 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { HttpError, readJsonBody, sendJson } = require('./http');
+
+const MAX_ATTEMPTS = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+const SCRYPT_KEY_LENGTH = 32;
+
+// Stored as "scrypt:<salt hex>:<hash hex>" so the code itself never lives in config
+const hashSecretCode = (code, salt = crypto.randomBytes(16).toString('hex')) => {
+  const hash = crypto.scryptSync(code, salt, SCRYPT_KEY_LENGTH).toString('hex');
+  return `scrypt:${salt}:${hash}`;
+};
+
+const verifySecretCode = (code, storedHash) => {
+  const [scheme, salt, hash] = (storedHash || '').split(':');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(code, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// Failed attempts are tracked per client address, independent of anything the browser stores
+const createAttemptLimiter = ({ maxAttempts = MAX_ATTEMPTS, lockoutMs = LOCKOUT_MS, now = Date.now } = {}) => {
+  const clients = new Map();
+
+  const get = (clientId) => {
+    const entry = clients.get(clientId);
+    if (entry && entry.lockedUntil && entry.lockedUntil <= now()) {
+      clients.delete(clientId);
+      return { failures: 0, lockedUntil: 0 };
+    }
+    return entry || { failures: 0, lockedUntil: 0 };
+  };
+
+  return {
+    check: (clientId) => {
+      const { lockedUntil } = get(clientId);
+      return lockedUntil > now() ? Math.ceil((lockedUntil - now()) / 1000) : 0;
+    },
+    fail: (clientId) => {
+      const entry = get(clientId);
+      const failures = entry.failures + 1;
+      const lockedUntil = failures >= maxAttempts ? now() + lockoutMs : 0;
+      clients.set(clientId, { failures, lockedUntil });
+      return { attemptsRemaining: Math.max(maxAttempts - failures, 0), lockedUntil };
+    },
+    reset: (clientId) => clients.delete(clientId)
+  };
+};
+
+const clientIdFor = (req, trustProxy) => {
+  const forwarded = trustProxy && req.headers['x-forwarded-for'];
+  return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+};
+
+// The server only knows each garden's code hash; the garden content ships
+// encrypted with the app (see scripts/encrypt-gardens.js)
+const loadGardens = (file) => {
+  const { gardens } = JSON.parse(fs.readFileSync(file, 'utf8'));
+  return new Map(gardens.map((garden) => [garden.id, garden]));
+};
+
+// The browser decrypts the garden itself, so there is nothing further for the
+// server to authorize: a correct code only tells it how long to keep the garden open
+const createSecretGardenRoutes = ({ gardens, sessionTtlMs, trustProxy = false, limiter = createAttemptLimiter() }) => ({
+  'POST /api/secret-garden/verify': async (req, res) => {
+    const clientId = clientIdFor(req, trustProxy);
+    const retryAfter = limiter.check(clientId);
+    if (retryAfter > 0) {
+      res.setHeader('Retry-After', String(retryAfter));
+      throw new HttpError(429, 'Too many attempts', { retryAfter });
+    }
+
+    const { gardenId, code } = await readJsonBody(req);
+    // Unknown gardens count as wrong codes so ids cannot be probed
+    const garden = gardens.get(gardenId);
+    if (garden && typeof code === 'string' && code.length <= 128 && verifySecretCode(code, garden.codeHash)) {
+      limiter.reset(clientId);
+      sendJson(res, 200, { expiresAt: Date.now() + sessionTtlMs });
+      return;
+    }
+
+    const { attemptsRemaining, lockedUntil } = limiter.fail(clientId);
+    if (lockedUntil) {
+      const lockSeconds = Math.ceil((lockedUntil - Date.now()) / 1000);
+      res.setHeader('Retry-After', String(lockSeconds));
+      throw new HttpError(429, 'Too many attempts', { retryAfter: lockSeconds });
+    }
+    throw new HttpError(401, 'Wrong code', { attemptsRemaining });
+  }
+});
+
+module.exports = {
+  createSecretGardenRoutes,
+  loadGardens,
+  createAttemptLimiter,
+  hashSecretCode,
+  verifySecretCode
+};
@@ -0,0 +1,85 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer } = require('./testServer');
+const { createAttemptLimiter, hashSecretCode, verifySecretCode } = require('./secretGarden');
+
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+let server;
+let gardensFile;
+
+before(async () => {
+  gardensFile = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'divein4e-gardens-')), 'gardens.json');
+  fs.writeFileSync(gardensFile, JSON.stringify({ gardens: [{ id: 'coral-roses', codeHash: hashSecretCode('coral') }] }));
+  server = await startTestServer({ secretGarden: { gardensFile, sessionTtlMs: 60000 } });
+});
+
+after(async () => {
+  await server.close();
+  fs.rmSync(path.dirname(gardensFile), { recursive: true, force: true });
+});
+
+test('verifies codes against their salted hash only', () => {
+  const stored = hashSecretCode('coral');
+  assert.match(stored, /^scrypt:[0-9a-f]{32}:[0-9a-f]{64}$/);
+  assert.notEqual(hashSecretCode('coral'), stored);
+
+  assert.equal(verifySecretCode('coral', stored), true);
+  assert.equal(verifySecretCode('Coral', stored), false);
+  assert.equal(verifySecretCode('coral', 'coral'), false);
+  assert.equal(verifySecretCode('coral', undefined), false);
+});
+
+test('locks a client out for 15 minutes after 5 failed attempts', () => {
+  let clock = 0;
+  const limiter = createAttemptLimiter({ now: () => clock });
+
+  for (let remaining = 4; remaining > 0; remaining -= 1) {
+    assert.deepEqual(limiter.fail('diver'), { attemptsRemaining: remaining, lockedUntil: 0 });
+  }
+  assert.deepEqual(limiter.fail('diver'), { attemptsRemaining: 0, lockedUntil: LOCKOUT_MS });
+  assert.equal(limiter.check('diver'), 900);
+  assert.equal(limiter.check('someone-else'), 0);
+
+  clock = LOCKOUT_MS - 1000;
+  assert.equal(limiter.check('diver'), 1);
+  clock = LOCKOUT_MS;
+  assert.equal(limiter.check('diver'), 0);
+  assert.equal(limiter.fail('diver').attemptsRemaining, 4);
+});
+
+test('a correct code clears earlier failures', () => {
+  const limiter = createAttemptLimiter();
+  limiter.fail('diver');
+  limiter.fail('diver');
+  limiter.reset('diver');
+  assert.equal(limiter.fail('diver').attemptsRemaining, 4);
+});
+
+const verify = (gardenId, code) => server.request('POST', '/api/secret-garden/verify', { body: { gardenId, code } });
+
+test('the verify endpoint opens a garden for the session and then refuses further guesses', async () => {
+  const opened = await verify('coral-roses', 'coral');
+  assert.equal(opened.status, 200);
+  assert.deepEqual(Object.keys(opened.body), ['expiresAt']);
+  assert.ok(opened.body.expiresAt > Date.now());
+
+  const wrong = await verify('coral-roses', 'kelp');
+  assert.equal(wrong.status, 401);
+  assert.equal(wrong.body.details.attemptsRemaining, 4);
+  // Unknown gardens use up attempts like wrong codes
+  assert.equal((await verify('night-roses', 'coral')).body.details.attemptsRemaining, 3);
+  await verify('coral-roses', 'kelp');
+  await verify('coral-roses', 'kelp');
+
+  const locked = await verify('coral-roses', 'kelp');
+  assert.equal(locked.status, 429);
+  assert.ok(Number(locked.headers.get('retry-after')) > 890);
+
+  const correctButLocked = await verify('coral-roses', 'coral');
+  assert.equal(correctButLocked.status, 429);
+  assert.ok(correctButLocked.headers.get('retry-after'));
+});
@@ -0,0 +1,105 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { HttpError, readJsonBody, sendJson, requireBearerToken } = require('./http');
+
+// The site ships one catalog per language (see src/i18n.js), so a new locale file is accepted here too
+const LOCALES_DIR = path.join(__dirname, '..', 'src', 'locales');
+const SUPPORTED_LANGUAGES = fs.readdirSync(LOCALES_DIR)
+  .filter((file) => file.endsWith('.json'))
+  .map((file) => path.basename(file, '.json'));
+
+const SUGGESTION_STATUSES = ['approved', 'planned', 'filmed', 'rejected'];
+const MAX_TITLE_LENGTH = 200;
+
+const validateSuggestion = ({ title, email, lang, timestamp } = {}) => {
+  const errors = {};
+
+  if (typeof title !== 'string' || !title.trim()) {
+    errors.title = 'required';
+  } else if (title.trim().length > MAX_TITLE_LENGTH) {
+    errors.title = 'tooLong';
+  }
+  if (email && (typeof email !== 'string' || !/\S+@\S+\.\S+/.test(email))) {
+    errors.email = 'invalid';
+  }
+  if (lang && !SUPPORTED_LANGUAGES.includes(lang)) {
+    errors.lang = 'unsupported';
+  }
+  if (timestamp && Number.isNaN(Date.parse(timestamp))) {
+    errors.timestamp = 'invalid';
+  }
+
+  return errors;
+};
+
+const findSuggestion = (store, id) => {
+  const suggestion = store.read('suggestions').find((item) => item.id === id);
+  if (!suggestion) throw new HttpError(404, 'Suggestion not found');
+  return suggestion;
+};
+
+const createSuggestionRoutes = (store, { adminToken }) => ({
+  'POST /api/suggestions': async (req, res) => {
+    const body = await readJsonBody(req);
+    const errors = validateSuggestion(body);
+    if (Object.keys(errors).length > 0) {
+      throw new HttpError(422, 'Invalid suggestion', errors);
+    }
+
+    const suggestion = {
+      id: crypto.randomUUID(),
+      title: body.title.trim(),
+      email: body.email ? body.email.trim() : '',
+      lang: body.lang || 'en',
+      timestamp: body.timestamp || new Date().toISOString(),
+      receivedAt: new Date().toISOString(),
+      status: null
+    };
+
+    store.update('suggestions', (suggestions) => [...suggestions, suggestion]);
+    sendJson(res, 201, { id: suggestion.id });
+  },
+
+  // Moderation endpoints, used by the admin dashboard
+  'GET /api/suggestions': async (req, res) => {
+    requireBearerToken(req, adminToken);
+    const suggestions = store.read('suggestions');
+    sendJson(res, 200, { suggestions: [...suggestions].reverse() });
+  },
+
+  'PATCH /api/suggestions/:id': async (req, res) => {
+    requireBearerToken(req, adminToken);
+    const body = await readJsonBody(req);
+    const changes = {};
+
+    if ('status' in body) {
+      if (body.status !== null && !SUGGESTION_STATUSES.includes(body.status)) {
+        throw new HttpError(422, 'Invalid status', { status: 'unsupported' });
+      }
+      changes.status = body.status;
+    }
+    if ('videoUrl' in body) {
+      if (body.videoUrl && !/^https?:\/\/\S+$/.test(body.videoUrl)) {
+        throw new HttpError(422, 'Invalid video URL', { videoUrl: 'invalid' });
+      }
+      changes.videoUrl = body.videoUrl || '';
+    }
+
+    const updated = { ...findSuggestion(store, req.params.id), ...changes };
+    store.update('suggestions', (suggestions) =>
+      suggestions.map((item) => (item.id === updated.id ? updated : item))
+    );
+    sendJson(res, 200, { suggestion: updated });
+  },
+
+  'DELETE /api/suggestions/:id': async (req, res) => {
+    requireBearerToken(req, adminToken);
+    findSuggestion(store, req.params.id);
+    store.update('suggestions', (suggestions) => suggestions.filter((item) => item.id !== req.params.id));
+    store.update('votes', ({ [req.params.id]: removed, ...votes }) => votes, {});
+    sendJson(res, 204);
+  }
+});
+
+module.exports = { createSuggestionRoutes, validateSuggestion, SUGGESTION_STATUSES };
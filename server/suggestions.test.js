@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, ADMIN_TOKEN } = require('./testServer');
+const { validateSuggestion } = require('./suggestions');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+const submit = (body) => server.request('POST', '/api/suggestions', { body });
+
+test('validates the title, email, language and timestamp', () => {
+  assert.deepEqual(validateSuggestion({ title: 'Whale falls', email: 'diver@example.com', lang: 'en' }), {});
+  assert.deepEqual(validateSuggestion({ title: '  ', email: 'not-an-email', lang: 'xx', timestamp: 'yesterday' }), {
+    title: 'required',
+    email: 'invalid',
+    lang: 'unsupported',
+    timestamp: 'invalid'
+  });
+  assert.deepEqual(validateSuggestion({ title: 'x'.repeat(201) }), { title: 'tooLong' });
+});
+
+test('accepts suggestions in every language the site ships', async () => {
+  for (const lang of ['en', 'ar', 'fr', 'es']) {
+    const { status } = await submit({ title: 'Kelp forests', lang });
+    assert.equal(status, 201, `lang ${lang}`);
+  }
+});
+
+test('stores a valid suggestion and rejects invalid ones', async () => {
+  const created = await submit({ title: '  Blue holes ', email: '', lang: 'ar' });
+  assert.equal(created.status, 201);
+  assert.ok(created.body.id);
+
+  const invalid = await submit({ title: '', email: 'nope' });
+  assert.equal(invalid.status, 422);
+  assert.deepEqual(invalid.body.details, { title: 'required', email: 'invalid' });
+
+  const { body } = await server.request('GET', '/api/suggestions', { token: ADMIN_TOKEN });
+  const stored = body.suggestions.find((item) => item.id === created.body.id);
+  assert.equal(stored.title, 'Blue holes');
+  assert.equal(stored.lang, 'ar');
+  assert.equal(stored.status, null);
+});
+
+test('bodies that are not JSON objects are rejected', async () => {
+  for (const rawBody of ['null', '[]', '"title"', '{']) {
+    const response = await server.request('POST', '/api/suggestions', { rawBody });
+    assert.equal(response.status, 400, rawBody);
+  }
+
+  const { body } = await submit({ title: 'Kelp forests' });
+  const patch = await server.request('PATCH', `/api/suggestions/${body.id}`, { rawBody: 'null', token: ADMIN_TOKEN });
+  assert.equal(patch.status, 400);
+});
+
+test('moderation routes need the admin token', async () => {
+  const { body } = await submit({ title: 'Cenotes' });
+
+  assert.equal((await server.request('GET', '/api/suggestions')).status, 401);
+  assert.equal((await server.request('GET', '/api/suggestions', { token: 'wrong' })).status, 401);
+  assert.equal((await server.request('PATCH', `/api/suggestions/${body.id}`, { body: { status: 'approved' } })).status, 401);
+  assert.equal((await server.request('DELETE', `/api/suggestions/${body.id}`)).status, 401);
+
+  const approved = await server.request('PATCH', `/api/suggestions/${body.id}`, { body: { status: 'approved' }, token: ADMIN_TOKEN });
+  assert.equal(approved.status, 200);
+  assert.equal(approved.body.suggestion.status, 'approved');
+
+  const invalid = await server.request('PATCH', `/api/suggestions/${body.id}`, { body: { status: 'famous' }, token: ADMIN_TOKEN });
+  assert.equal(invalid.status, 422);
+
+  assert.equal((await server.request('DELETE', `/api/suggestions/${body.id}`, { token: ADMIN_TOKEN })).status, 204);
+  assert.equal((await server.request('DELETE', `/api/suggestions/${body.id}`, { token: ADMIN_TOKEN })).status, 404);
+});
@@ -0,0 +1,39 @@
+// Starts the reference server on a free port with its own data directory, for server/*.test.js
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('./index');
+
+const ADMIN_TOKEN = 'test-admin-token';
+
+const startTestServer = async (options = {}) => {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'divein4e-server-'));
+  const server = createServer({ dataDir, adminToken: ADMIN_TOKEN, ...options });
+  await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  const baseUrl = `http://127.0.0.1:${port}`;
+
+  // `rawBody` is sent as-is, for bodies JSON.stringify would not produce
+  const request = async (method, pathname, { body, rawBody, token } = {}) => {
+    const headers = token ? { Authorization: `Bearer ${token}` } : {};
+    const response = await fetch(`${baseUrl}${pathname}`, {
+      method,
+      headers,
+      body: rawBody !== undefined ? rawBody : body === undefined ? undefined : JSON.stringify(body)
+    });
+    const text = await response.text();
+    return { status: response.status, headers: response.headers, body: text ? JSON.parse(text) : null };
+  };
+
+  const close = () => new Promise((resolve) => {
+    server.closeAllConnections();
+    server.close(() => {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+      resolve();
+    });
+  });
+
+  return { request, close, dataDir, port };
+};
+
+module.exports = { startTestServer, ADMIN_TOKEN };
@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const { HttpError, readJsonBody, sendJson } = require('./http');
+
+// Suggestion statuses that make a topic visible on the public voting board
+const PUBLIC_STATUSES = ['approved', 'planned', 'filmed'];
+
+// Voter ids are random per-browser values; only their hashes are stored
+const hashVoter = (voterId) => crypto.createHash('sha256').update(voterId).digest('hex');
+
+const toPublicTopic = (suggestion, votes) => ({
+  id: suggestion.id,
+  title: suggestion.title,
+  status: suggestion.status,
+  videoUrl: suggestion.status === 'filmed' ? suggestion.videoUrl || '' : '',
+  votes: (votes[suggestion.id] || []).length
+});
+
+const rankTopics = (topics) =>
+  [...topics].sort((a, b) => b.votes - a.votes || a.title.localeCompare(b.title));
+
+const createTopicRoutes = (store) => ({
+  'GET /api/topics': async (req, res) => {
+    const votes = store.read('votes', {});
+    const topics = store.read('suggestions')
+      .filter((suggestion) => PUBLIC_STATUSES.includes(suggestion.status))
+      .map((suggestion) => toPublicTopic(suggestion, votes));
+
+    sendJson(res, 200, { topics: rankTopics(topics) });
+  },
+
+  'POST /api/topics/:id/votes': async (req, res) => {
+    const { voterId } = await readJsonBody(req);
+    if (typeof voterId !== 'string' || voterId.length < 8 || voterId.length > 128) {
+      throw new HttpError(422, 'Invalid voter id', { voterId: 'invalid' });
+    }
+
+    const suggestion = store.read('suggestions').find((item) => item.id === req.params.id);
+    if (!suggestion || !PUBLIC_STATUSES.includes(suggestion.status)) {
+      throw new HttpError(404, 'Topic not found');
+    }
+
+    const voterHash = hashVoter(voterId);
+    const votes = store.read('votes', {});
+    const topicVotes = votes[suggestion.id] || [];
+    if (topicVotes.includes(voterHash)) {
+      throw new HttpError(409, 'Already voted', { votes: topicVotes.length });
+    }
+
+    const updatedVotes = store.write('votes', { ...votes, [suggestion.id]: [...topicVotes, voterHash] });
+    sendJson(res, 201, { votes: updatedVotes[suggestion.id].length });
+  }
+});
+
+module.exports = { createTopicRoutes, rankTopics, PUBLIC_STATUSES };
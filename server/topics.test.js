@@ -0,0 +1,56 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, ADMIN_TOKEN } = require('./testServer');
+
+let server;
+
+before(async () => {
+  server = await startTestServer();
+});
+
+after(() => server.close());
+
+const createSuggestion = async (title, status) => {
+  const { body } = await server.request('POST', '/api/suggestions', { body: { title } });
+  if (status) {
+    await server.request('PATCH', `/api/suggestions/${body.id}`, { body: { status }, token: ADMIN_TOKEN });
+  }
+  return body.id;
+};
+
+test('only approved, planned and filmed suggestions are public topics', async () => {
+  const approved = await createSuggestion('Sunken cities', 'approved');
+  const rejected = await createSuggestion('Sea monsters', 'rejected');
+  const pending = await createSuggestion('Deep trenches');
+
+  const { status, body } = await server.request('GET', '/api/topics');
+  assert.equal(status, 200);
+  const ids = body.topics.map((topic) => topic.id);
+  assert.ok(ids.includes(approved));
+  assert.ok(!ids.includes(rejected));
+  assert.ok(!ids.includes(pending));
+  assert.equal(Object.hasOwn(body.topics[0], 'email'), false);
+});
+
+test('each browser can vote for a topic once', async () => {
+  const id = await createSuggestion('Bioluminescence', 'planned');
+  const vote = (voterId) => server.request('POST', `/api/topics/${id}/votes`, { body: { voterId } });
+
+  const first = await vote('browser-aaaa');
+  assert.equal(first.status, 201);
+  assert.equal(first.body.votes, 1);
+
+  const again = await vote('browser-aaaa');
+  assert.equal(again.status, 409);
+  assert.equal(again.body.details.votes, 1);
+
+  assert.equal((await vote('browser-bbbb')).body.votes, 2);
+  assert.equal((await vote('short')).status, 422);
+  assert.equal((await server.request('POST', `/api/topics/${id}/votes`, { rawBody: 'null' })).status, 400);
+});
+
+test('votes are refused for topics that are not public', async () => {
+  const pending = await createSuggestion('Abyssal plains');
+  const response = await server.request('POST', `/api/topics/${pending}/votes`, { body: { voterId: 'browser-cccc' } });
+  assert.equal(response.status, 404);
+});
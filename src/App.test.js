@@ -1,8 +1,400 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, act, fireEvent } from '@testing-library/react';
+import { renderToString } from 'react-dom/server';
+import { hydrateRoot } from 'react-dom/client';
 import App from './App';
+import { loadLocale } from './i18n';
+import { PAGES } from './pages';
+import { createMockVotingAdapter, setVotingAdapter } from './votingService';
+import { ApiError, createHttpAdapter, setSubmissionAdapter } from './suggestionService';
+import { createConsentStore, setConsentStore } from './consentManager';
+import { setErrorReporter } from './errorReporter';
+import { createAnalytics, setAnalytics } from './analytics';
+import * as videoCatalog from './videoCatalog';
+import * as eventCatalog from './eventCatalog';
+import EVENTS_DATA from './data/events.json';
+import VIDEO_DATA from './data/videos.json';
 
-test('renders learn react link', () => {
+beforeEach(() => {
+  localStorage.clear();
+  sessionStorage.clear();
+  setVotingAdapter(createMockVotingAdapter());
+  setConsentStore(createConsentStore());
+});
+
+test('renders the home page hero', async () => {
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  expect(await screen.findByText(/discover the mysteries of the deep/i)).toBeInTheDocument();
+  expect(await screen.findByText(/the shipwreck that became a coral reef/i)).toBeInTheDocument();
+});
+
+test('deep links open the matching page and language', async () => {
+  window.history.replaceState(null, '', '/ar/about');
+  render(<App />);
+  expect(await screen.findByText('المستكشف وراء الغوص العميق')).toBeInTheDocument();
+  expect(document.documentElement.lang).toBe('ar');
+  expect(document.documentElement.dir).toBe('rtl');
+});
+
+test('the language picker loads the chosen catalog and updates the path', async () => {
+  window.history.replaceState(null, '', '/about');
+  render(<App />);
+  fireEvent.change(screen.getByLabelText(/choose language/i), { target: { value: 'fr' } });
+
+  expect(await screen.findByText("L'explorateur derrière la plongée")).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/fr/about');
+  expect(localStorage.getItem('preferred-language')).toBe('fr');
+});
+
+test('follows browser history with popstate', async () => {
+  window.history.replaceState(null, '', '/info');
+  render(<App />);
+  expect(await screen.findByText(/connect with our ocean community/i)).toBeInTheDocument();
+
+  act(() => {
+    window.history.pushState(null, '', '/about');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(await screen.findByText(/the explorer behind the deep dive/i)).toBeInTheDocument();
+});
+
+test('the Lite mode switch is remembered between visits', async () => {
+  window.history.replaceState(null, '', '/');
+  const { unmount } = render(<App />);
+  await screen.findByText(/discover the mysteries of the deep/i);
+  fireEvent.click(screen.getByRole('button', { name: /lite mode/i }));
+
+  expect(localStorage.getItem('lite-mode')).toBe('on');
+  expect(document.documentElement).toHaveClass('quality-lite');
+  unmount();
+
+  render(<App />);
+  expect(screen.getByRole('button', { name: /lite mode/i })).toHaveAttribute('aria-pressed', 'true');
+});
+
+test('the hero shows a depth gauge unless motion is reduced', async () => {
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  expect(await screen.findByText('200 m')).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /lite mode/i }));
+  expect(screen.queryByText('200 m')).not.toBeInTheDocument();
+  expect(screen.getByText(/discover the mysteries of the deep/i)).toBeInTheDocument();
+});
+
+test('event cards open their detail page', async () => {
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('link', { name: /shipwreck chronicles/i }));
+
+  expect(await screen.findByRole('heading', { level: 1, name: 'Shipwreck Chronicles' })).toBeInTheDocument();
+  expect(window.location.pathname).toBe('/events/shipwreck-chronicles');
+  expect(screen.getByAltText('The hull of a wreck overgrown with coral')).toBeInTheDocument();
+  expect(screen.getByText(/this video is hosted on youtube/i)).toBeInTheDocument();
+});
+
+test('event pages are localized and unknown events say so', async () => {
+  window.history.replaceState(null, '', '/ar/events/shipwreck-chronicles');
+  const { unmount } = render(<App />);
+  expect(await screen.findByRole('heading', { level: 1, name: 'سجلات حطام السفن' })).toBeInTheDocument();
+  unmount();
+
+  window.history.replaceState(null, '', '/events/sunken-spaceship');
+  render(<App />);
+  expect(await screen.findByText(/this mystery has drifted away/i)).toBeInTheDocument();
+});
+
+test('event pages without a date leave out the publication line', async () => {
+  const actualGetEvent = eventCatalog.getEvent;
+  const undated = EVENTS_DATA.events.map(({ date, ...event }) => event);
+  const getEvent = jest.spyOn(eventCatalog, 'getEvent').mockImplementation((slug, lang) => actualGetEvent(slug, lang, undated));
+
+  window.history.replaceState(null, '', '/events/shipwreck-chronicles');
+  render(<App />);
+  expect(await screen.findByRole('heading', { level: 1, name: 'Shipwreck Chronicles' })).toBeInTheDocument();
+  expect(screen.queryByText(/^published/i)).not.toBeInTheDocument();
+
+  getEvent.mockRestore();
+});
+
+test('the installable manifest follows the language', async () => {
+  const link = document.createElement('link');
+  link.rel = 'manifest';
+  link.href = '/manifest.json';
+  document.head.appendChild(link);
+
+  window.history.replaceState(null, '', '/ar/about');
+  const { unmount } = render(<App />);
+  await screen.findByText('المستكشف وراء الغوص العميق');
+  expect(link.getAttribute('href')).toBe('/manifest.ar.json');
+  unmount();
+
+  window.history.replaceState(null, '', '/fr/about');
+  render(<App />);
+  await screen.findByText("L'explorateur derrière la plongée");
+  expect(link.getAttribute('href')).toBe('/manifest.json');
+
+  link.remove();
+});
+
+test('each page sets a title in the current language', async () => {
+  window.history.replaceState(null, '', '/ar/events/shipwreck-chronicles');
+  const { unmount } = render(<App />);
+  await screen.findByRole('heading', { level: 1, name: 'سجلات حطام السفن' });
+  expect(document.title).toBe('سجلات حطام السفن – DiveIn4e');
+  unmount();
+
+  window.history.replaceState(null, '', '/secret-garden');
+  render(<App />);
+  await screen.findByText('The Coral Garden Awaits');
+  expect(document.title).toBe('The Coral Garden – DiveIn4e');
+});
+
+test('the video library filters and searches the catalog', async () => {
+  const { listVideos: actualListVideos, listCategories: actualListCategories } = jest.requireActual('./videoCatalog');
+  const catalog = [
+    ...VIDEO_DATA.videos,
+    { id: 'reefOctopus', title: { en: 'The octopus den', ar: 'وكر الأخطبوط' }, category: 'wildlife', duration: 425 }
+  ];
+  const listVideos = jest.spyOn(videoCatalog, 'listVideos').mockImplementation((lang) => actualListVideos(lang, catalog));
+  const listCategories = jest.spyOn(videoCatalog, 'listCategories').mockImplementation(() => actualListCategories(catalog));
+
+  window.history.replaceState(null, '', '/videos');
+  render(<App />);
+  expect(await screen.findByRole('heading', { name: 'Secrets of an Ancient Shipwreck' })).toBeInTheDocument();
+  // Thumbnails only; the player loads on demand
+  expect(screen.queryByTitle('Secrets of an Ancient Shipwreck')).not.toBeInTheDocument();
+  expect(screen.getByText('7:05')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText(/search videos/i), { target: { value: 'kraken' } });
+  expect(screen.getByText(/no videos match your search/i)).toBeInTheDocument();
+
+  fireEvent.change(screen.getByLabelText(/search videos/i), { target: { value: '' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Wrecks' }));
+  expect(screen.getByRole('button', { name: 'Wrecks' })).toHaveAttribute('aria-pressed', 'true');
+  expect(screen.getByText('1 video')).toBeInTheDocument();
+  expect(screen.queryByRole('heading', { name: 'The octopus den' })).not.toBeInTheDocument();
+
+  listVideos.mockRestore();
+  listCategories.mockRestore();
+});
+
+test('the video library leaves out search and filters with nothing to narrow down', async () => {
+  const { listVideos: actualListVideos, listCategories: actualListCategories } = jest.requireActual('./videoCatalog');
+  const [video] = VIDEO_DATA.videos;
+  const catalog = [{ id: video.id, title: video.title, category: video.category }];
+  const listVideos = jest.spyOn(videoCatalog, 'listVideos').mockImplementation((lang) => actualListVideos(lang, catalog));
+  const listCategories = jest.spyOn(videoCatalog, 'listCategories').mockImplementation(() => actualListCategories(catalog));
+
+  window.history.replaceState(null, '', '/videos');
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  expect(await screen.findByRole('heading', { name: 'Secrets of an Ancient Shipwreck' })).toBeInTheDocument();
+  expect(screen.queryByRole('searchbox')).not.toBeInTheDocument();
+  expect(screen.queryByRole('group', { name: /filter by category/i })).not.toBeInTheDocument();
+  expect(screen.getByText('1 video')).toBeInTheDocument();
+  // No duration line when the catalog has none
+  expect(screen.queryByText(/^\d+:\d{2}$/)).not.toBeInTheDocument();
+
+  listVideos.mockRestore();
+  listCategories.mockRestore();
+});
+
+test('embeds wait for consent and then use the privacy-enhanced player', async () => {
+  window.history.replaceState(null, '', '/events/shipwreck-chronicles');
+  render(<App />);
+  expect(screen.getByRole('heading', { name: 'Your privacy' })).toBeInTheDocument();
+
+  fireEvent.click(await screen.findByRole('button', { name: /allow video embeds and play/i }));
+  expect(screen.getByTitle('Diving the wreck')).toHaveAttribute('src', 'https://www.youtube-nocookie.com/embed/n1Nkaqf88SU?autoplay=1');
+  expect(JSON.parse(localStorage.getItem('consent-preferences')).choices).toEqual({ embeds: true, analytics: false });
+  expect(screen.queryByRole('heading', { name: 'Your privacy' })).not.toBeInTheDocument();
+});
+
+test('consent choices can be changed from the footer', async () => {
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  await screen.findByText(/discover the mysteries of the deep/i);
+  fireEvent.click(screen.getByRole('button', { name: /reject all/i }));
+  expect(screen.queryByRole('heading', { name: 'Your privacy' })).not.toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: /privacy preferences/i }));
+  const dialog = screen.getByRole('dialog', { name: /privacy preferences/i });
+  fireEvent.click(screen.getByRole('checkbox', { name: /analytics/i }));
+  fireEvent.click(screen.getByRole('button', { name: /save choices/i }));
+
+  expect(dialog).not.toBeInTheDocument();
+  expect(JSON.parse(localStorage.getItem('consent-preferences')).choices).toEqual({ embeds: false, analytics: true });
+});
+
+test('photos that fail to load fall back to a gradient', async () => {
+  window.history.replaceState(null, '', '/events/shipwreck-chronicles');
+  render(<App />);
+  const photo = await screen.findByAltText('The hull of a wreck overgrown with coral');
+  expect(photo).toHaveAttribute('loading', 'lazy');
+
+  fireEvent.error(photo);
+  expect(screen.queryByAltText('The hull of a wreck overgrown with coral')).not.toBeInTheDocument();
+  expect(screen.getByRole('img', { name: 'The hull of a wreck overgrown with coral' })).toHaveClass('bg-gradient-to-br');
+});
+
+test('photos that loaded before hydration are shown without waiting for a load event', async () => {
+  const complete = jest.spyOn(HTMLImageElement.prototype, 'complete', 'get').mockReturnValue(true);
+  const naturalWidth = jest.spyOn(HTMLImageElement.prototype, 'naturalWidth', 'get').mockReturnValue(1600);
+
+  window.history.replaceState(null, '', '/events/shipwreck-chronicles');
+  render(<App />);
+  expect(await screen.findByAltText('The hull of a wreck overgrown with coral')).toHaveClass('opacity-100');
+
+  complete.mockRestore();
+  naturalWidth.mockRestore();
+});
+
+// renderToString sends a lazy page's loading state until its code has arrived once.
+// scripts/prerender.js waits for it instead, which needs Node streams jsdom does not have.
+const prerender = async (element) => {
+  renderToString(element);
+  await new Promise((resolve) => setTimeout(resolve, 0));
+  return renderToString(element);
+};
+
+test('prerendered pages hydrate without mismatches', async () => {
+  window.history.replaceState(null, '', '/ar/about');
+  await loadLocale('ar');
+  const container = document.createElement('div');
+  container.innerHTML = await prerender(<App path="/ar/about" />);
+  document.body.appendChild(container);
+  const heading = screen.getByText('المستكشف وراء الغوص العميق');
+  expect(screen.queryByRole('button', { name: 'رفض الكل' })).not.toBeInTheDocument();
+
+  const onRecoverableError = jest.fn();
+  let root;
+  await act(async () => {
+    root = hydrateRoot(container, <App hydrating />, { onRecoverableError });
+  });
+
+  expect(onRecoverableError).not.toHaveBeenCalled();
+  // The page keeps the prerendered elements instead of drawing new ones
+  expect(screen.getByText('المستكشف وراء الغوص العميق')).toBe(heading);
+  // The banner waits for the stored choices, which are only read after hydration
+  expect(screen.getByRole('button', { name: 'رفض الكل' })).toBeInTheDocument();
+  act(() => root.unmount());
+  container.remove();
+});
+
+test('pages show a localized loading state while their code loads', async () => {
+  window.history.replaceState(null, '', '/thank-you');
+  render(<App />);
+  expect(screen.getByText('Content is loading...')).toHaveAttribute('role', 'status');
+  expect(await screen.findByRole('heading', { name: /thank you for your dive suggestion/i })).toBeInTheDocument();
+  expect(screen.queryByText('Content is loading...')).not.toBeInTheDocument();
+});
+
+test('hovering a menu link starts loading that page', async () => {
+  window.history.replaceState(null, '', '/about');
+  const preload = jest.spyOn(PAGES.videos, 'preload');
+  render(<App />);
+  await screen.findByText(/the explorer behind the deep dive/i);
+
+  fireEvent.mouseEnter(screen.getByRole('button', { name: 'Videos' }));
+  expect(preload).toHaveBeenCalled();
+  preload.mockRestore();
+});
+
+test('the suggestion form keeps focus and input while the site around it updates', async () => {
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  const title = await screen.findByPlaceholderText(/what oceanic mystery/i);
+  title.focus();
+  fireEvent.change(title, { target: { value: 'The blue hole' } });
+  fireEvent.click(screen.getByRole('button', { name: /lite mode/i }));
+
+  expect(screen.getByPlaceholderText(/what oceanic mystery/i)).toBe(title);
+  expect(title).toHaveFocus();
+  expect(title).toHaveValue('The blue hole');
+});
+
+test('the suggestion form turns away titles longer than the API accepts', async () => {
+  const submit = jest.fn();
+  setSubmissionAdapter({ submit });
+
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  const title = await screen.findByPlaceholderText(/what oceanic mystery/i);
+  expect(title).toHaveAttribute('maxLength', '200');
+
+  fireEvent.change(title, { target: { value: 'a'.repeat(201) } });
+  fireEvent.click(screen.getByRole('button', { name: /submit your dive idea/i }));
+  expect(screen.getByText('Please keep your suggestion to 200 characters or fewer')).toBeInTheDocument();
+  expect(submit).not.toHaveBeenCalled();
+  setSubmissionAdapter(createHttpAdapter());
+});
+
+test('the suggestion form shows validation errors from the API next to their fields', async () => {
+  const submit = jest.fn().mockRejectedValue(new ApiError('Invalid suggestion', { status: 422, details: { email: 'invalid' } }));
+  setSubmissionAdapter({ submit });
+
+  window.history.replaceState(null, '', '/');
+  render(<App />);
+  fireEvent.change(await screen.findByPlaceholderText(/what oceanic mystery/i), { target: { value: 'The blue hole' } });
+  fireEvent.click(screen.getByRole('button', { name: /submit your dive idea/i }));
+
+  expect(await screen.findByText('Please enter a valid email address')).toBeInTheDocument();
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  expect(submit).toHaveBeenCalledTimes(1);
+  setSubmissionAdapter(createHttpAdapter());
+});
+
+test('a page that fails to render shows a localized retry screen and is reported', async () => {
+  const report = jest.fn();
+  setErrorReporter({ report });
+  const listVideos = jest.spyOn(videoCatalog, 'listVideos').mockImplementation(() => {
+    throw new Error('Video catalog unavailable');
+  });
+  // React logs errors caught by a boundary
+  const consoleError = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  window.history.replaceState(null, '', '/ar/videos');
+  render(<App />);
+  expect(await screen.findByRole('heading', { name: 'واجه الغوص مياهاً مضطربة' })).toBeInTheDocument();
+  expect(screen.getByRole('alert')).toHaveTextContent('حدث خطأ أثناء تحميل المحتوى');
+  // Only the page is replaced; the header still works
+  expect(screen.getByRole('banner')).toBeInTheDocument();
+  expect(report).toHaveBeenCalledWith(expect.objectContaining({ message: 'Video catalog unavailable', page: 'videos', lang: 'ar' }));
+
+  listVideos.mockRestore();
+  fireEvent.click(screen.getByRole('button', { name: 'حاول مرة أخرى' }));
+  expect(await screen.findByRole('heading', { name: 'مكتبة الفيديو' })).toBeInTheDocument();
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+  consoleError.mockRestore();
+});
+
+test('page views and outbound clicks are counted once analytics is allowed', async () => {
+  const send = jest.fn();
+  const analytics = createAnalytics({ send });
+  setAnalytics(analytics);
+  const open = jest.spyOn(window, 'open').mockImplementation(() => null);
+
+  window.history.replaceState(null, '', '/info');
+  render(<App />);
+  fireEvent.click(await screen.findByRole('button', { name: /youtube channel/i }));
+  fireEvent.click(screen.getByRole('button', { name: /accept all/i }));
+  fireEvent.click(screen.getByRole('button', { name: /youtube channel/i }));
+
+  act(() => {
+    window.history.pushState(null, '', '/about');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  await screen.findByText(/the explorer behind the deep dive/i);
+  analytics.flush();
+
+  // The click from before the visitor decided is not counted, the page they decided on is
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(JSON.parse(send.mock.calls[0][1]).events).toEqual([
+    expect.objectContaining({ type: 'pageview', page: 'info', lang: 'en', path: '/info' }),
+    expect.objectContaining({ type: 'outbound', platform: 'youtube', url: 'https://www.youtube.com/@divein4e' }),
+    expect.objectContaining({ type: 'pageview', page: 'about', lang: 'en', path: '/about' })
+  ]);
+  expect(open).toHaveBeenCalledTimes(2);
+  open.mockRestore();
+  setAnalytics(null);
 });
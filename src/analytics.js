@@ -0,0 +1,96 @@
+// Cookieless usage analytics.
+//
+// Page views, outbound social clicks, suggestion submissions and Web Vitals
+// (CLS, LCP, FID) are queued and sent in batches with navigator.sendBeacon to
+// REACT_APP_ANALYTICS_ENDPOINT, which falls back to the local reference
+// server's collector (`npm run server`) through the dev proxy. A batch goes
+// out once enough events have queued, a few seconds after the first one, and
+// when the page is hidden, so closing the tab does not lose it.
+//
+// Nothing is stored in the browser and events carry no visitor or session id.
+// Events are only collected while the visitor allows the analytics consent
+// category, and anything still queued when it is withdrawn is dropped.
+
+import { getConsentStore } from './consentManager';
+
+const DEFAULT_ENDPOINT = process.env.REACT_APP_ANALYTICS_ENDPOINT || '/api/analytics';
+
+// reportWebVitals measures a few more; these are the ones worth collecting
+export const TRACKED_VITALS = ['CLS', 'LCP', 'FID'];
+
+// A string body is sent as text/plain, which cross-origin collectors accept without a preflight
+const sendBeacon = (endpoint, body) => {
+  if (typeof navigator !== 'undefined' && navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return;
+  // The beacon queue can be full; keepalive requests also outlive the page
+  if (typeof fetch === 'function') fetch(endpoint, { method: 'POST', body, keepalive: true }).catch(() => {});
+};
+
+export const createAnalytics = ({
+  endpoint = DEFAULT_ENDPOINT,
+  isAllowed = () => getConsentStore().allows('analytics'),
+  send = sendBeacon,
+  batchSize = 10,
+  flushDelay = 5000,
+  now = () => new Date()
+} = {}) => {
+  let queue = [];
+  let timer = null;
+  let lastPageView = null;
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const events = queue;
+    queue = [];
+    if (events.length && isAllowed()) send(endpoint, JSON.stringify({ events }));
+  };
+
+  const track = (type, data = {}) => {
+    if (!isAllowed()) return;
+    queue.push({ type, ...data, time: now().toISOString() });
+    if (queue.length >= batchSize) flush();
+    else if (!timer) timer = setTimeout(flush, flushDelay);
+  };
+
+  // Re-renders and repeated effects report the same address only once. A page
+  // seen without consent is not remembered, so it counts once consent is given
+  const trackPageView = (page, lang, path) => {
+    if (path === lastPageView || !isAllowed()) return;
+    lastPageView = path;
+    track('pageview', { page, lang, path });
+  };
+
+  return { track, trackPageView, flush };
+};
+
+let sharedAnalytics = null;
+
+export const getAnalytics = () => {
+  if (!sharedAnalytics) sharedAnalytics = createAnalytics();
+  return sharedAnalytics;
+};
+
+// Replaces the shared instance, e.g. with one that records events in tests
+export const setAnalytics = (analytics) => {
+  sharedAnalytics = analytics;
+};
+
+export const trackPageView = (page, lang, path) => getAnalytics().trackPageView(page, lang, path);
+
+export const trackOutboundClick = (platform, url) => getAnalytics().track('outbound', { platform, url });
+
+export const trackSuggestion = (lang) => getAnalytics().track('suggestion', { lang });
+
+// Receives metrics from reportWebVitals; CLS is a unitless score, the others are milliseconds
+export const trackWebVital = ({ name, value }) => {
+  if (!TRACKED_VITALS.includes(name)) return;
+  getAnalytics().track('vital', { name, value: name === 'CLS' ? Math.round(value * 1000) / 1000 : Math.round(value) });
+};
+
+// Sends what is queued when the visitor switches tabs or leaves
+export const flushAnalyticsOnHide = () => {
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') getAnalytics().flush();
+  });
+  window.addEventListener('pagehide', () => getAnalytics().flush());
+};
@@ -0,0 +1,81 @@
+import { createAnalytics, setAnalytics, trackWebVital } from './analytics';
+
+const now = () => new Date('2024-05-01T10:00:00.000Z');
+
+const setup = (options = {}) => {
+  const send = jest.fn();
+  let allowed = true;
+  const analytics = createAnalytics({ endpoint: '/collect', send, isAllowed: () => allowed, now, ...options });
+  return { analytics, send, setAllowed: (value) => { allowed = value; } };
+};
+
+const sentEvents = (send, call = 0) => JSON.parse(send.mock.calls[call][1]).events;
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('sends events in batches once enough have queued', () => {
+  const { analytics, send } = setup({ batchSize: 2 });
+  analytics.track('outbound', { platform: 'youtube', url: 'https://www.youtube.com/@divein4e' });
+  expect(send).not.toHaveBeenCalled();
+
+  analytics.track('suggestion', { lang: 'fr' });
+  expect(send).toHaveBeenCalledTimes(1);
+  expect(send.mock.calls[0][0]).toBe('/collect');
+  expect(sentEvents(send)).toEqual([
+    { type: 'outbound', platform: 'youtube', url: 'https://www.youtube.com/@divein4e', time: '2024-05-01T10:00:00.000Z' },
+    { type: 'suggestion', lang: 'fr', time: '2024-05-01T10:00:00.000Z' }
+  ]);
+});
+
+test('sends a partial batch after a short delay', () => {
+  jest.useFakeTimers();
+  const { analytics, send } = setup({ flushDelay: 1000 });
+  analytics.trackPageView('about', 'ar', '/ar/about');
+  // The same address again, e.g. from a repeated effect
+  analytics.trackPageView('about', 'ar', '/ar/about');
+
+  jest.advanceTimersByTime(1000);
+  expect(sentEvents(send)).toEqual([{ type: 'pageview', page: 'about', lang: 'ar', path: '/ar/about', time: '2024-05-01T10:00:00.000Z' }]);
+});
+
+test('collects nothing without consent and drops the queue when it is withdrawn', () => {
+  const { analytics, send, setAllowed } = setup();
+  setAllowed(false);
+  analytics.track('suggestion', { lang: 'en' });
+  analytics.flush();
+  expect(send).not.toHaveBeenCalled();
+
+  setAllowed(true);
+  analytics.track('suggestion', { lang: 'en' });
+  setAllowed(false);
+  analytics.flush();
+  setAllowed(true);
+  analytics.flush();
+  expect(send).not.toHaveBeenCalled();
+});
+
+test('counts a page seen before consent once it is given', () => {
+  const { analytics, send, setAllowed } = setup();
+  setAllowed(false);
+  analytics.trackPageView('home', 'en', '/');
+
+  setAllowed(true);
+  analytics.trackPageView('home', 'en', '/');
+  analytics.flush();
+  expect(sentEvents(send)).toEqual([{ type: 'pageview', page: 'home', lang: 'en', path: '/', time: '2024-05-01T10:00:00.000Z' }]);
+});
+
+test('keeps CLS, LCP and FID and rounds their values', () => {
+  const { analytics, send } = setup();
+  setAnalytics(analytics);
+
+  trackWebVital({ name: 'CLS', value: 0.123456, id: 'v2-1' });
+  trackWebVital({ name: 'LCP', value: 2150.7, id: 'v2-2' });
+  trackWebVital({ name: 'TTFB', value: 80, id: 'v2-3' });
+  analytics.flush();
+
+  expect(sentEvents(send).map(({ name, value }) => [name, value])).toEqual([['CLS', 0.123], ['LCP', 2151]]);
+  setAnalytics(null);
+});
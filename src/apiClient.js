@@ -0,0 +1,41 @@
+// Shared JSON-over-fetch helper for the site's API calls
+
+export class ApiError extends Error {
+  constructor(message, { status = 0, retryable = false, details } = {}) {
+    super(message);
+    this.name = 'ApiError';
+    this.status = status;
+    this.retryable = retryable;
+    this.details = details;
+  }
+}
+
+// Network failures and 5xx/429 responses are worth retrying; validation errors are not
+const isRetryableStatus = (status) => status === 429 || status >= 500;
+
+export const requestJson = async (url, { method = 'GET', body, token, fetchImpl = (...args) => fetch(...args) } = {}) => {
+  const headers = {};
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  if (token) headers.Authorization = `Bearer ${token}`;
+
+  let response;
+  try {
+    response = await fetchImpl(url, {
+      method,
+      headers,
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+  } catch (error) {
+    throw new ApiError('Network request failed', { retryable: true });
+  }
+
+  const payload = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new ApiError(payload.error || `Request failed with status ${response.status}`, {
+      status: response.status,
+      retryable: isRetryableStatus(response.status),
+      details: payload.details
+    });
+  }
+  return payload;
+};
@@ -0,0 +1,188 @@
+// Shared audio engine.
+//
+// One set of Howler sounds serves the whole app, split into two channels: an
+// ambient channel for looping background tracks and an effects channel for
+// short UI sounds played from a sprite. The master volume is Howler's global
+// volume and each channel scales the sounds on it. Nothing is downloaded until
+// audio is first switched on.
+//
+// The ambient channel plays a soundscape: a set of looping layers declared per
+// page in data/soundscapes.json. Switching soundscapes crossfades, so layers
+// shared by both pages keep playing and only change level. Sounds that fail to
+// load are reported through onStatusChange instead of failing silently.
+
+import { Howl, Howler } from 'howler';
+import SOUNDSCAPES from './data/soundscapes.json';
+
+export const AUDIO_CHANNELS = ['ambient', 'effects'];
+
+export const DEFAULT_AUDIO_PREFERENCES = { enabled: false, master: 0.8, ambient: 1, effects: 1 };
+
+const STORAGE_KEY = 'audio-preferences';
+
+// Regions are [offset, duration] in milliseconds
+const EFFECTS_SPRITE = {
+  src: ['/audio/click.mp3'],
+  sprite: { click: [0, 200] }
+};
+
+// Each effect plays a sprite region at its own gain and playback rate
+const EFFECTS = {
+  click: { sprite: 'click', volume: 0.3 },
+  bubble: { sprite: 'click', volume: 0.15, rate: 1.8 }
+};
+
+const CROSSFADE_MS = 1200;
+const VOLUME_CHANGE_MS = 100;
+
+// 'ok' | 'partial' | 'unavailable', for the sounds currently wanted
+export const getAudioStatus = (wanted, failed) => {
+  const missing = wanted.filter((src) => failed.has(src)).length;
+  if (missing === 0) return 'ok';
+  return missing === wanted.length ? 'unavailable' : 'partial';
+};
+
+const clampVolume = (value, fallback) => {
+  const number = Number(value);
+  return Number.isFinite(number) ? Math.min(1, Math.max(0, number)) : fallback;
+};
+
+export const loadAudioPreferences = (storage = window.localStorage) => {
+  let saved = {};
+  try {
+    saved = JSON.parse(storage.getItem(STORAGE_KEY)) || {};
+  } catch (error) {}
+
+  return {
+    enabled: saved.enabled === true,
+    master: clampVolume(saved.master, DEFAULT_AUDIO_PREFERENCES.master),
+    ambient: clampVolume(saved.ambient, DEFAULT_AUDIO_PREFERENCES.ambient),
+    effects: clampVolume(saved.effects, DEFAULT_AUDIO_PREFERENCES.effects)
+  };
+};
+
+export const saveAudioPreferences = (preferences, storage = window.localStorage) => {
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify(preferences));
+  } catch (error) {}
+};
+
+export const createAudioEngine = ({
+  HowlImpl = Howl,
+  HowlerImpl = Howler,
+  effectsSprite = EFFECTS_SPRITE,
+  effects = EFFECTS,
+  soundscapes = SOUNDSCAPES,
+  onStatusChange = () => {}
+} = {}) => {
+  let preferences = { ...DEFAULT_AUDIO_PREFERENCES };
+  let soundscape = 'default';
+  let effectsSound = null;
+  const layers = new Map();
+  const failed = new Set();
+  let status = 'ok';
+
+  const activeLayers = () => (preferences.enabled ? soundscapes[soundscape] || soundscapes.default || [] : []);
+  const isActive = (src) => activeLayers().some((layer) => layer.src === src);
+
+  const updateStatus = () => {
+    const wanted = activeLayers().map((layer) => layer.src);
+    if (effectsSound) wanted.push(...effectsSprite.src);
+    const next = getAudioStatus(wanted, failed);
+    if (next !== status) {
+      status = next;
+      onStatusChange(status);
+    }
+  };
+
+  const handleLoadError = (src) => {
+    failed.add(src);
+    updateStatus();
+  };
+
+  const getEffectsSound = () => {
+    if (!effectsSound) {
+      effectsSound = new HowlImpl({
+        ...effectsSprite,
+        onloaderror: () => handleLoadError(effectsSprite.src[0])
+      });
+    }
+    return effectsSound;
+  };
+
+  const getLayer = (src) => {
+    if (!layers.has(src)) {
+      const sound = new HowlImpl({
+        src: [src],
+        loop: true,
+        html5: true,
+        volume: 0,
+        onloaderror: () => handleLoadError(src),
+        // Autoplay policies reject playback before the first interaction; retry once unlocked
+        onplayerror: () => sound.once('unlock', () => {
+          if (isActive(src)) sound.play();
+        })
+      });
+      layers.set(src, sound);
+    }
+    return layers.get(src);
+  };
+
+  // Fades every wanted layer to its level and everything else out
+  const applySoundscape = (duration) => {
+    const targets = new Map(activeLayers().map((layer) => [layer.src, layer.volume * preferences.ambient]));
+
+    targets.forEach((volume, src) => {
+      if (failed.has(src)) return;
+      const sound = getLayer(src);
+      if (!sound.playing()) sound.play();
+      sound.fade(sound.volume(), volume, duration);
+    });
+
+    layers.forEach((sound, src) => {
+      if (targets.has(src) || !sound.playing()) return;
+      sound.fade(sound.volume(), 0, duration);
+      // The layer may be wanted again by the time the fade ends
+      sound.once('fade', () => {
+        if (!isActive(src)) sound.pause();
+      });
+    });
+
+    updateStatus();
+  };
+
+  return {
+    configure: (changes) => {
+      const previous = preferences;
+      preferences = { ...preferences, ...changes };
+      HowlerImpl.volume(preferences.master);
+
+      if (preferences.enabled !== previous.enabled) applySoundscape(CROSSFADE_MS);
+      else if (preferences.enabled && preferences.ambient !== previous.ambient) applySoundscape(VOLUME_CHANGE_MS);
+    },
+
+    setSoundscape: (name) => {
+      if (name === soundscape) return;
+      soundscape = name;
+      applySoundscape(CROSSFADE_MS);
+    },
+
+    playEffect: (name) => {
+      const effect = effects[name];
+      if (!preferences.enabled || !effect || failed.has(effectsSprite.src[0])) return;
+
+      const sound = getEffectsSound();
+      const id = sound.play(effect.sprite);
+      sound.volume(effect.volume * preferences.effects, id);
+      if (effect.rate) sound.rate(effect.rate, id);
+    },
+
+    unload: () => {
+      effectsSound?.unload();
+      layers.forEach((sound) => sound.unload());
+      effectsSound = null;
+      layers.clear();
+      preferences = { ...DEFAULT_AUDIO_PREFERENCES };
+    }
+  };
+};
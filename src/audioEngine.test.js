@@ -0,0 +1,168 @@
+import fs from 'fs';
+import path from 'path';
+import { createAudioEngine, loadAudioPreferences, saveAudioPreferences, DEFAULT_AUDIO_PREFERENCES } from './audioEngine';
+import SOUNDSCAPES from './data/soundscapes.json';
+
+const createFakeHowler = () => {
+  const sounds = [];
+  class FakeHowl {
+    constructor(options) {
+      this.options = options;
+      this.isPlaying = false;
+      this.currentVolume = options.volume ?? 1;
+      this.plays = [];
+      this.listeners = {};
+      sounds.push(this);
+    }
+    play(sprite) {
+      this.isPlaying = true;
+      this.plays.push({ sprite, volume: null, rate: null });
+      return this.plays.length;
+    }
+    pause() { this.isPlaying = false; }
+    playing() { return this.isPlaying; }
+    volume(value, id) {
+      if (value === undefined) return this.currentVolume;
+      if (id) this.plays[id - 1].volume = value;
+      else this.currentVolume = value;
+      return this;
+    }
+    rate(value, id) { this.plays[id - 1].rate = value; }
+    fade(from, to) { this.currentVolume = to; }
+    completeFade() { (this.listeners.fade || []).splice(0).forEach((listener) => listener()); }
+    once(event, listener) { (this.listeners[event] = this.listeners[event] || []).push(listener); }
+    unload() { this.unloaded = true; }
+  }
+  return { sounds, HowlImpl: FakeHowl, HowlerImpl: { volume: jest.fn() } };
+};
+
+const soundscapes = {
+  default: [{ src: '/waves.mp3', volume: 0.2 }],
+  home: [{ src: '/waves.mp3', volume: 0.2 }, { src: '/reef.mp3', volume: 0.1 }],
+  about: [{ src: '/whales.mp3', volume: 0.1 }]
+};
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+test('does not create any sounds until audio is enabled', () => {
+  const fake = createFakeHowler();
+  const engine = createAudioEngine({ ...fake, soundscapes });
+
+  engine.configure({ master: 0.5 });
+  engine.playEffect('click');
+
+  expect(fake.sounds).toHaveLength(0);
+  expect(fake.HowlerImpl.volume).toHaveBeenCalledWith(0.5);
+});
+
+test('plays effects from one shared sprite scaled by the effects channel', () => {
+  const fake = createFakeHowler();
+  const engine = createAudioEngine({ ...fake, soundscapes });
+  engine.configure({ enabled: true, effects: 0.5 });
+
+  engine.playEffect('click');
+  engine.playEffect('bubble');
+  engine.playEffect('unknown');
+
+  const effects = fake.sounds.find((sound) => sound.options.sprite);
+  expect(fake.sounds.filter((sound) => sound.options.sprite)).toHaveLength(1);
+  expect(effects.plays).toEqual([
+    { sprite: 'click', volume: 0.15, rate: null },
+    { sprite: 'click', volume: 0.075, rate: 1.8 }
+  ]);
+});
+
+test('fades the ambient loop in and out with the mute toggle', () => {
+  const fake = createFakeHowler();
+  const engine = createAudioEngine({ ...fake, soundscapes });
+
+  engine.configure({ enabled: true, ambient: 1 });
+  const ambient = fake.sounds.find((sound) => sound.options.loop);
+  expect(ambient.playing()).toBe(true);
+  expect(ambient.volume()).toBeCloseTo(0.2);
+
+  engine.configure({ ambient: 0.5 });
+  expect(ambient.volume()).toBeCloseTo(0.1);
+
+  engine.configure({ enabled: false });
+  expect(ambient.volume()).toBe(0);
+  ambient.completeFade();
+  expect(ambient.playing()).toBe(false);
+});
+
+test('keeps the ambient loop when audio is switched back on mid-fade', () => {
+  const fake = createFakeHowler();
+  const engine = createAudioEngine({ ...fake, soundscapes });
+
+  engine.configure({ enabled: true });
+  engine.configure({ enabled: false });
+  engine.configure({ enabled: true });
+  const ambient = fake.sounds.find((sound) => sound.options.loop);
+  ambient.completeFade();
+
+  expect(fake.sounds.filter((sound) => sound.options.loop)).toHaveLength(1);
+  expect(ambient.playing()).toBe(true);
+});
+
+test('persists preferences and ignores invalid saved values', () => {
+  expect(loadAudioPreferences()).toEqual(DEFAULT_AUDIO_PREFERENCES);
+
+  saveAudioPreferences({ enabled: true, master: 0.4, ambient: 0.2, effects: 0.9 });
+  expect(loadAudioPreferences()).toEqual({ enabled: true, master: 0.4, ambient: 0.2, effects: 0.9 });
+
+  localStorage.setItem('audio-preferences', JSON.stringify({ enabled: 'yes', master: 7, ambient: 'loud' }));
+  expect(loadAudioPreferences()).toEqual({ ...DEFAULT_AUDIO_PREFERENCES, master: 1 });
+});
+
+const layerFor = (fake, src) => fake.sounds.find((sound) => sound.options.src[0] === src);
+
+test('crossfades between page soundscapes, keeping shared layers playing', () => {
+  const fake = createFakeHowler();
+  const engine = createAudioEngine({ ...fake, soundscapes });
+  engine.configure({ enabled: true });
+
+  engine.setSoundscape('home');
+  const waves = layerFor(fake, '/waves.mp3');
+  const reef = layerFor(fake, '/reef.mp3');
+  expect(waves.plays).toHaveLength(1);
+  expect(reef.volume()).toBeCloseTo(0.1);
+
+  engine.setSoundscape('about');
+  expect(layerFor(fake, '/whales.mp3').playing()).toBe(true);
+  expect(waves.volume()).toBe(0);
+  waves.completeFade();
+  reef.completeFade();
+  expect(waves.playing()).toBe(false);
+  expect(reef.playing()).toBe(false);
+
+  // Unknown pages fall back to the default soundscape
+  engine.setSoundscape('admin');
+  expect(waves.playing()).toBe(true);
+  expect(waves.plays).toHaveLength(2);
+});
+
+test('reports sounds that fail to load', () => {
+  const fake = createFakeHowler();
+  const onStatusChange = jest.fn();
+  const engine = createAudioEngine({ ...fake, soundscapes, onStatusChange });
+  engine.configure({ enabled: true });
+  engine.setSoundscape('home');
+
+  layerFor(fake, '/reef.mp3').options.onloaderror();
+  expect(onStatusChange).toHaveBeenLastCalledWith('partial');
+
+  layerFor(fake, '/waves.mp3').options.onloaderror();
+  expect(onStatusChange).toHaveBeenLastCalledWith('unavailable');
+
+  engine.setSoundscape('about');
+  expect(onStatusChange).toHaveBeenLastCalledWith('ok');
+});
+
+// The default layer is the one every page keeps playing while recordings for the others are missing
+test('the default layer ships with its audio and plays under every soundscape', () => {
+  const [{ src }] = SOUNDSCAPES.default;
+  expect(fs.existsSync(path.join(__dirname, '..', 'public', src))).toBe(true);
+  Object.values(SOUNDSCAPES).forEach((layers) => expect(layers.map((layer) => layer.src)).toContain(src));
+});
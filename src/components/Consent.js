@@ -0,0 +1,119 @@
+import { useState, useEffect, useRef } from 'react';
+import { X, Shield } from 'lucide-react';
+import { CONSENT_CATEGORIES } from '../consentManager';
+import { useConsent } from '../context/ConsentContext';
+import { useTranslation } from '../context/I18nContext';
+import { RippleButton } from './RippleButton';
+
+// Consent banner and preferences panel
+const allChoices = (allowed) => Object.fromEntries(CONSENT_CATEGORIES.map((category) => [category, allowed]));
+
+// Shown until the visitor has made a choice; nothing optional loads before then
+export const ConsentBanner = () => {
+  const { t } = useTranslation();
+  const { isDecided, isPanelOpen, updateConsent, openPreferences } = useConsent();
+  if (isDecided || isPanelOpen) return null;
+
+  return (
+    <section
+      aria-labelledby="consent-banner-title"
+      className="fixed bottom-4 inset-x-4 z-50 max-w-3xl mx-auto rounded-2xl bg-slate-900/95 backdrop-blur-xl border border-slate-700/60 shadow-2xl p-6"
+    >
+      <div className="flex items-start gap-4">
+        <Shield className="w-8 h-8 text-cyan-400 flex-shrink-0" />
+        <div className="flex-1">
+          <h2 id="consent-banner-title" className="text-lg font-semibold text-white mb-2">{t('consent.bannerTitle')}</h2>
+          <p className="text-sm text-slate-300 leading-relaxed mb-4">{t('consent.bannerText')}</p>
+          <div className="flex flex-wrap gap-3">
+            <RippleButton onClick={() => updateConsent(allChoices(true))} className="px-5 py-2 rounded-lg text-sm font-semibold">
+              {t('consent.acceptAll')}
+            </RippleButton>
+            <RippleButton onClick={() => updateConsent(allChoices(false))} variant="secondary" className="px-5 py-2 rounded-lg text-sm font-semibold">
+              {t('consent.rejectAll')}
+            </RippleButton>
+            <RippleButton onClick={openPreferences} variant="ghost" className="px-5 py-2 rounded-lg text-sm text-slate-300 hover:text-cyan-300">
+              {t('consent.customize')}
+            </RippleButton>
+          </div>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export const ConsentPreferences = () => {
+  const { t } = useTranslation();
+  const { consent, isPanelOpen, updateConsent, closePreferences } = useConsent();
+  const [choices, setChoices] = useState(() => consent?.choices || allChoices(false));
+  const dialogRef = useRef(null);
+
+  // Start from the saved choices each time the panel opens
+  useEffect(() => {
+    if (!isPanelOpen) return undefined;
+    setChoices(consent?.choices || allChoices(false));
+    dialogRef.current?.focus();
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') closePreferences();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isPanelOpen, consent, closePreferences]);
+
+  if (!isPanelOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 bg-black/60 backdrop-blur-sm flex items-center justify-center p-4">
+      <div
+        ref={dialogRef}
+        role="dialog"
+        aria-modal="true"
+        aria-labelledby="consent-preferences-title"
+        tabIndex={-1}
+        className="w-full max-w-lg rounded-2xl bg-slate-900 border border-slate-700/60 shadow-2xl p-6 focus:outline-none"
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h2 id="consent-preferences-title" className="text-xl font-semibold text-white font-serif">{t('consent.preferencesTitle')}</h2>
+          <RippleButton onClick={closePreferences} variant="ghost" aria-label={t('consent.close')} className="p-2 rounded-lg text-slate-400 hover:text-white">
+            <X size={18} />
+          </RippleButton>
+        </div>
+        <p className="text-sm text-slate-300 mb-6">{t('consent.preferencesIntro')}</p>
+
+        <ul className="space-y-4 mb-6">
+          <li className="flex items-start justify-between gap-4 p-4 rounded-xl bg-slate-800/60 border border-slate-700/50">
+            <div>
+              <p className="font-medium text-white">{t('consent.categories.necessary.name')}</p>
+              <p className="text-sm text-slate-400">{t('consent.categories.necessary.desc')}</p>
+            </div>
+            <span className="text-xs text-cyan-300 whitespace-nowrap">{t('consent.alwaysOn')}</span>
+          </li>
+          {CONSENT_CATEGORIES.map((category) => (
+            <li key={category}>
+              <label className="flex items-start justify-between gap-4 p-4 rounded-xl bg-slate-800/60 border border-slate-700/50 cursor-pointer">
+                <div>
+                  <p className="font-medium text-white">{t(`consent.categories.${category}.name`)}</p>
+                  <p className="text-sm text-slate-400">{t(`consent.categories.${category}.desc`)}</p>
+                </div>
+                <input
+                  type="checkbox"
+                  checked={choices[category]}
+                  onChange={(e) => setChoices((prev) => ({ ...prev, [category]: e.target.checked }))}
+                  className="mt-1 w-5 h-5 accent-cyan-500 flex-shrink-0"
+                />
+              </label>
+            </li>
+          ))}
+        </ul>
+
+        <div className="flex flex-wrap justify-end gap-3">
+          <RippleButton onClick={() => updateConsent(allChoices(false))} variant="secondary" className="px-5 py-2 rounded-lg text-sm font-semibold">
+            {t('consent.rejectAll')}
+          </RippleButton>
+          <RippleButton onClick={() => updateConsent(choices)} className="px-5 py-2 rounded-lg text-sm font-semibold">
+            {t('consent.save')}
+          </RippleButton>
+        </div>
+      </div>
+    </div>
+  );
+};
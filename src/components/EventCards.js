@@ -0,0 +1,84 @@
+import { useMemo } from 'react';
+import { ChevronDown, Fish } from 'lucide-react';
+import { listEvents } from '../eventCatalog';
+import { buildPath } from '../routes';
+import { useTranslation } from '../context/I18nContext';
+import { ResponsiveImage } from './ResponsiveImage';
+
+// Mysterious events - cards and pages rendered from data/events.json
+export const isPlainClick = (e) => e.button === 0 && !e.metaKey && !e.ctrlKey && !e.shiftKey && !e.altKey;
+
+export const EventTags = ({ tags }) => {
+  const { t } = useTranslation();
+  if (tags.length === 0) return null;
+
+  return (
+    <ul className="flex flex-wrap gap-2" aria-label={t('events.tagsLabel')}>
+      {tags.map((tag) => (
+        <li key={tag} className="px-3 py-1 rounded-full text-xs font-medium bg-cyan-400/10 text-cyan-300 border border-cyan-400/30">
+          {t(`events.tags.${tag}`)}
+        </li>
+      ))}
+    </ul>
+  );
+};
+
+// Cards are real links so they can be opened in a new tab; plain clicks navigate in place
+const EventCard = ({ event, onOpen }) => {
+  const { t, currentLang, isRTL } = useTranslation();
+
+  return (
+    <article className="group relative overflow-hidden rounded-2xl bg-slate-800/60 backdrop-blur-sm border border-slate-700/50 hover:border-cyan-400/40 transition-all duration-500 hover:scale-[1.02]">
+      <a
+        href={buildPath('events', currentLang, { slug: event.slug })}
+        onClick={(e) => {
+          if (!isPlainClick(e)) return;
+          e.preventDefault();
+          onOpen(event.slug);
+        }}
+        className="block h-full focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 rounded-2xl"
+      >
+        <div className="aspect-video relative overflow-hidden bg-slate-700">
+          <ResponsiveImage
+            src={event.heroImage}
+            alt=""
+            sizes="(min-width: 1024px) 33vw, (min-width: 768px) 50vw, 100vw"
+            className="w-full h-full"
+          />
+          
+          <div className="absolute inset-0 bg-gradient-to-t from-slate-900/60 to-transparent" />
+          <div className="absolute inset-0 flex items-center justify-center opacity-20">
+            <Fish className="w-12 h-12 text-white" />
+          </div>
+        </div>
+        
+        <div className="p-6">
+          <h3 className="font-bold text-lg text-white mb-3 group-hover:text-cyan-300 transition-colors duration-300 font-serif">
+            {event.title}
+          </h3>
+          <p className="text-slate-300 leading-relaxed text-sm group-hover:text-slate-200 transition-colors duration-300 mb-4">
+            {event.description}
+          </p>
+          <EventTags tags={event.tags} />
+          <span className="mt-4 inline-flex items-center text-sm font-semibold text-cyan-400 group-hover:text-cyan-300">
+            {t('events.readMore')}
+            <ChevronDown className={`w-4 h-4 ${isRTL ? 'mr-1 rotate-90' : 'ml-1 -rotate-90'}`} />
+          </span>
+        </div>
+      </a>
+    </article>
+  );
+};
+
+export const EventGrid = ({ onOpen }) => {
+  const { currentLang } = useTranslation();
+  const events = useMemo(() => listEvents(currentLang), [currentLang]);
+
+  return (
+    <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+      {events.map((event) => (
+        <EventCard key={event.slug} event={event} onOpen={onOpen} />
+      ))}
+    </div>
+  );
+};
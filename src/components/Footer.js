@@ -0,0 +1,31 @@
+import { Shield } from 'lucide-react';
+import { useConsent } from '../context/ConsentContext';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem } from './OceanEffects';
+
+// Footer
+export const Footer = () => {
+  const { t, isRTL } = useTranslation();
+  const { openPreferences } = useConsent();
+
+  return (
+    <footer className="bg-slate-900/95 backdrop-blur-xl border-t border-slate-800/60 py-8 relative overflow-hidden">
+      <WaveSystem intensity="low" className="opacity-10" />
+    
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 relative z-10">
+        <div className="text-center">
+          <p className="text-slate-400 mb-2">{t('footer.copyright')}</p>
+          <p className="text-slate-500 text-sm">{t('footer.madeWith')}</p>
+          <button
+            type="button"
+            onClick={openPreferences}
+            className="mt-4 inline-flex items-center text-sm text-slate-400 hover:text-cyan-300 transition-colors duration-300"
+          >
+            <Shield className={`w-4 h-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+            {t('consent.openPreferences')}
+          </button>
+        </div>
+      </div>
+    </footer>
+  );
+};
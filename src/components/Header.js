@@ -0,0 +1,105 @@
+import { useState, useEffect } from 'react';
+import { Menu, X, Compass, Heart } from 'lucide-react';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem } from './OceanEffects';
+import { RippleButton } from './RippleButton';
+import { AudioControls, LiteModeToggle, LanguagePicker } from './HeaderControls';
+
+const NAV_ITEMS = ['home', 'about', 'info', 'toMontion', 'videos', 'secretGarden'];
+
+// Menu items are named like their translations; pages use the route name
+const pageFor = (item) => (item === 'secretGarden' ? 'secret-garden' : item);
+
+// Enhanced Header Component with Secret Garden
+// Hovering or focusing a link starts loading that page's code
+export const Header = ({ currentPage, onNavigate, onPrefetch, onLanguageChange }) => {
+  const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
+  const { t } = useTranslation();
+
+  // The mobile menu closes once the next page is shown
+  useEffect(() => {
+    setIsMobileMenuOpen(false);
+  }, [currentPage]);
+
+  return (
+    <header className="fixed top-0 left-0 right-0 z-50 bg-slate-900/95 backdrop-blur-xl border-b border-slate-800/60" role="banner">
+      <WaveSystem intensity="low" className="opacity-30" />
+    
+      <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 relative z-10">
+        <div className="flex items-center justify-between h-16">
+          <RippleButton
+            onClick={() => onNavigate('home')}
+            variant="ghost"
+            className="text-2xl font-bold text-cyan-400 hover:text-cyan-300 px-3 py-2 font-serif"
+          >
+            <span className="flex items-center">
+              <Compass className="w-6 h-6 mr-2 rtl:ml-2 rtl:mr-0" />
+              DiveIn4e
+            </span>
+          </RippleButton>
+        
+          <nav className="hidden md:flex items-center space-x-1 rtl:space-x-reverse">
+            {NAV_ITEMS.map((page) => (
+              <RippleButton
+                key={page}
+                onClick={() => onNavigate(pageFor(page))}
+                onMouseEnter={() => onPrefetch(pageFor(page))}
+                onFocus={() => onPrefetch(pageFor(page))}
+                variant="ghost"
+                className={`px-4 py-2 rounded-lg text-sm font-medium min-h-[44px] min-w-[44px] ${
+                  currentPage === page || (page === 'secretGarden' && currentPage === 'secret-garden')
+                    ? 'text-cyan-400 bg-cyan-400/15 shadow-inner border-cyan-400/50'
+                    : 'text-slate-300 hover:text-cyan-300 hover:bg-slate-800/70'
+                } ${page === 'secretGarden' ? 'border border-pink-400/30 text-pink-300 hover:text-pink-200 hover:border-pink-300/50' : ''}`}
+              >
+                {page === 'secretGarden' && <Heart className="w-4 h-4 mr-1 rtl:ml-1 rtl:mr-0" />}
+                {t(`nav.${page}`)}
+              </RippleButton>
+            ))}
+          </nav>
+
+          <div className="flex items-center space-x-2 rtl:space-x-reverse">
+            <AudioControls />
+
+            <LiteModeToggle />
+
+
+            <LanguagePicker onChange={onLanguageChange} />
+
+            <RippleButton
+              onClick={() => setIsMobileMenuOpen(!isMobileMenuOpen)}
+              variant="ghost"
+              className="md:hidden p-2 rounded-lg text-slate-300 hover:text-cyan-300 hover:bg-slate-800/70 min-h-[44px] min-w-[44px]"
+            >
+              {isMobileMenuOpen ? <X size={20} /> : <Menu size={20} />}
+            </RippleButton>
+          </div>
+        </div>
+      </div>
+
+      {isMobileMenuOpen && (
+        <div className="md:hidden bg-slate-900/98 backdrop-blur-xl border-t border-slate-800/60">
+          <nav className="px-4 py-4 space-y-1">
+            {NAV_ITEMS.map((page) => (
+              <RippleButton
+                key={page}
+                onClick={() => onNavigate(pageFor(page))}
+                onMouseEnter={() => onPrefetch(pageFor(page))}
+                onFocus={() => onPrefetch(pageFor(page))}
+                variant="ghost"
+                className={`block w-full text-left px-4 py-3 rounded-lg text-sm font-medium ${
+                  currentPage === page || (page === 'secretGarden' && currentPage === 'secret-garden')
+                    ? 'text-cyan-400 bg-cyan-400/15 border-cyan-400/50'
+                    : 'text-slate-300 hover:text-cyan-300 hover:bg-slate-800/70'
+                } ${page === 'secretGarden' ? 'border border-pink-400/30 text-pink-300' : ''}`}
+              >
+                {page === 'secretGarden' && <Heart className="w-4 h-4 mr-1 rtl:ml-1 rtl:mr-0 inline" />}
+                {t(`nav.${page}`)}
+              </RippleButton>
+            ))}
+          </nav>
+        </div>
+      )}
+    </header>
+  );
+};
@@ -0,0 +1,134 @@
+import { useState, useEffect, useRef } from 'react';
+import { Volume2, VolumeX, Globe, AlertTriangle, SlidersHorizontal, Feather } from 'lucide-react';
+import { AUDIO_CHANNELS } from '../audioEngine';
+import { LOCALES } from '../i18n';
+import { usePerformance } from '../context/PerformanceContext';
+import { useAudioManager } from '../context/AudioContext';
+import { useTranslation } from '../context/I18nContext';
+import { RippleButton } from './RippleButton';
+
+// Header sound controls - mute toggle plus master and per-channel volume sliders
+export const AudioControls = () => {
+  const { audioEnabled, audioStatus, volumes, toggleAudio, setVolume } = useAudioManager();
+  const hasAudioProblem = audioEnabled && audioStatus !== 'ok';
+  const { t, isRTL } = useTranslation();
+  const [isOpen, setIsOpen] = useState(false);
+  const panelRef = useRef(null);
+
+  // Close the panel on outside clicks and Escape
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    const handlePointerDown = (e) => {
+      if (panelRef.current && !panelRef.current.contains(e.target)) setIsOpen(false);
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') setIsOpen(false);
+    };
+    document.addEventListener('pointerdown', handlePointerDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('pointerdown', handlePointerDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [isOpen]);
+
+  return (
+    <div ref={panelRef} className="relative flex items-center">
+      <RippleButton
+        onClick={toggleAudio}
+        variant="ghost"
+        aria-label={t('nav.toggleAudio')}
+        aria-pressed={audioEnabled}
+        className="p-2 rounded-lg text-slate-300 hover:text-cyan-300 hover:bg-slate-800/70 min-h-[44px] min-w-[44px]"
+      >
+        {audioEnabled ? <Volume2 size={20} /> : <VolumeX size={20} />}
+        {hasAudioProblem && (
+          <AlertTriangle className={`absolute top-1 ${isRTL ? 'left-1' : 'right-1'} w-3.5 h-3.5 text-amber-400`} aria-hidden="true" />
+        )}
+      </RippleButton>
+      <span className="sr-only" role="status">{hasAudioProblem ? t(`audio.${audioStatus}`) : ''}</span>
+      <button
+        type="button"
+        onClick={() => setIsOpen(!isOpen)}
+        aria-label={t('audio.settings')}
+        aria-expanded={isOpen}
+        className="p-2 rounded-lg text-slate-400 hover:text-cyan-300 hover:bg-slate-800/70 transition-colors min-h-[44px] min-w-[36px] focus:outline-none focus:ring-2 focus:ring-cyan-400/50"
+      >
+        <SlidersHorizontal size={16} />
+      </button>
+
+      {isOpen && (
+        <div className={`absolute top-full mt-2 ${isRTL ? 'left-0' : 'right-0'} w-64 p-4 rounded-2xl bg-slate-800/95 backdrop-blur-sm border border-slate-700/50 shadow-2xl space-y-4`}>
+          {['master', ...AUDIO_CHANNELS].map((channel) => (
+            <label key={channel} className="block">
+              <span className="flex justify-between text-sm text-slate-300 mb-1">
+                {t(`audio.${channel}`)}
+                <span className="text-slate-400">{Math.round(volumes[channel] * 100)}%</span>
+              </span>
+              <input
+                type="range"
+                min="0"
+                max="1"
+                step="0.05"
+                value={volumes[channel]}
+                onChange={(e) => setVolume(channel, Number(e.target.value))}
+                className="w-full accent-cyan-400"
+              />
+            </label>
+          ))}
+          {!audioEnabled && <p className="text-xs text-slate-400">{t('audio.muted')}</p>}
+          {hasAudioProblem && (
+            <p className="flex items-start text-xs text-amber-300">
+              <AlertTriangle className={`w-4 h-4 flex-shrink-0 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+              {t(`audio.${audioStatus}`)}
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+// Lite mode switch - turns off bubbles, lights and blur, and is remembered between visits
+export const LiteModeToggle = () => {
+  const { liteMode, setLiteMode } = usePerformance();
+  const { t } = useTranslation();
+
+  return (
+    <RippleButton
+      onClick={() => setLiteMode(!liteMode)}
+      variant="ghost"
+      aria-pressed={liteMode}
+      aria-label={t('performance.liteMode')}
+      title={t('performance.liteModeHint')}
+      className={`p-2 rounded-lg min-h-[44px] min-w-[44px] ${
+        liteMode ? 'text-cyan-300 bg-cyan-400/15 border-cyan-400/50' : 'text-slate-300 hover:text-cyan-300 hover:bg-slate-800/70'
+      }`}
+    >
+      <Feather size={18} />
+    </RippleButton>
+  );
+};
+
+// Language picker - lists every language with a catalog in ./locales
+export const LanguagePicker = ({ onChange }) => {
+  const { currentLang, isRTL, languages, t } = useTranslation();
+
+  return (
+    <label className="relative flex items-center rounded-lg text-slate-300 hover:text-cyan-300 hover:bg-slate-800/70 transition-colors min-h-[44px]">
+      <span className="sr-only">{t('nav.chooseLanguage')}</span>
+      <Globe size={16} className={`absolute ${isRTL ? 'right-3' : 'left-3'} pointer-events-none`} aria-hidden="true" />
+      <select
+        value={currentLang}
+        onChange={(e) => onChange(e.target.value)}
+        className={`appearance-none bg-transparent ${isRTL ? 'pr-9 pl-3' : 'pl-9 pr-3'} py-2 text-sm font-medium cursor-pointer focus:outline-none focus:ring-2 focus:ring-cyan-400 rounded-lg min-h-[44px]`}
+      >
+        {languages.map((code) => (
+          <option key={code} value={code} lang={code} className="bg-slate-900 text-slate-200">
+            {LOCALES[code].label}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+};
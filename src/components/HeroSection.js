@@ -0,0 +1,169 @@
+import { useEffect, useRef } from 'react';
+import { ChevronDown } from 'lucide-react';
+import { motion, useScroll, useTransform, useSpring } from 'framer-motion';
+import { useMove } from '@use-gesture/react';
+import { usePerformance } from '../context/PerformanceContext';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem, BubbleSystem, MovingLightSystem } from './OceanEffects';
+import { RippleButton } from './RippleButton';
+
+// Depth-parallax hero - scrolling through it descends from the surface to the abyss
+const MAX_HERO_DEPTH = 200;
+const DEPTH_MARKS = [0, 50, 100, 150, 200];
+
+const clampTilt = (value) => Math.max(-1, Math.min(1, value));
+
+const HeroContent = () => {
+  const { t, isRTL } = useTranslation();
+
+  return (
+    <>
+      <h1 className="text-4xl sm:text-5xl lg:text-7xl font-bold text-white mb-8 leading-tight font-serif bg-gradient-to-b from-white to-cyan-200 bg-clip-text text-transparent drop-shadow-2xl">
+        {t('hero.title')}
+      </h1>
+      <p className="text-xl sm:text-2xl lg:text-3xl text-slate-200 mb-12 leading-relaxed max-w-4xl mx-auto font-light">
+        {t('hero.subtitle')}
+      </p>
+      
+      <RippleButton
+        onClick={() => {
+          document.getElementById('main-content')?.scrollIntoView({ behavior: 'smooth' });
+        }}
+        className="group px-10 py-5 rounded-full text-lg font-semibold shadow-2xl min-h-[56px]"
+      >
+        {t('hero.cta')}
+        <ChevronDown className={`w-6 h-6 ${isRTL ? 'mr-3' : 'ml-3'} group-hover:animate-bounce transition-transform duration-300`} />
+      </RippleButton>
+    </>
+  );
+};
+
+const DepthGauge = ({ progress }) => {
+  const { t, isRTL } = useTranslation();
+  const depth = useTransform(progress, (value) => Math.round(value * MAX_HERO_DEPTH));
+  const markerTop = useTransform(progress, (value) => `${value * 100}%`);
+
+  return (
+    <div
+      className={`absolute top-1/2 -translate-y-1/2 ${isRTL ? 'left-4 sm:left-8' : 'right-4 sm:right-8'} z-20 flex flex-col items-center text-cyan-100`}
+      aria-hidden="true"
+    >
+      <span className="text-xs uppercase tracking-widest text-cyan-300/80 mb-3">{t('hero.depthGauge')}</span>
+      <div className="relative h-48 sm:h-64 flex">
+        <div className="relative w-1 rounded-full bg-slate-700/70">
+          <motion.div className="absolute inset-x-0 top-0 rounded-full bg-gradient-to-b from-cyan-300 to-blue-600 origin-top h-full" style={{ scaleY: progress }} />
+          <motion.div
+            className="absolute left-1/2 -translate-x-1/2 -translate-y-1/2 w-3 h-3 rounded-full bg-cyan-300 shadow-lg shadow-cyan-400/50"
+            style={{ top: markerTop }}
+          />
+        </div>
+        <ol className={`relative h-full ${isRTL ? 'mr-3' : 'ml-3'} text-[10px] text-slate-400`}>
+          {DEPTH_MARKS.map((mark) => (
+            <li key={mark} className="absolute -translate-y-1/2 whitespace-nowrap" style={{ top: `${(mark / MAX_HERO_DEPTH) * 100}%` }}>
+              {t('hero.depthValue', { depth: mark })}
+            </li>
+          ))}
+        </ol>
+      </div>
+      <p className="mt-4 text-sm font-semibold tabular-nums">
+        <motion.span>{depth}</motion.span> {t('hero.depthUnit')}
+      </p>
+    </div>
+  );
+};
+
+const StaticHero = () => (
+  <section className="relative min-h-screen flex items-center justify-center overflow-hidden">
+    <div className="absolute inset-0 bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900" />
+    <WaveSystem intensity="high" />
+    <BubbleSystem density="medium" />
+    <MovingLightSystem />
+    <div className="relative z-10 text-center px-4 sm:px-6 lg:px-8 max-w-5xl mx-auto">
+      <HeroContent />
+    </div>
+    <div className="absolute bottom-0 left-0 right-0 h-32 bg-gradient-to-t from-slate-900 to-transparent pointer-events-none" />
+  </section>
+);
+
+const ParallaxHero = () => {
+  const sectionRef = useRef(null);
+  const { scrollYProgress } = useScroll({ target: sectionRef, offset: ['start start', 'end end'] });
+
+  // Colour shifts from sunlit surface water to the black of the abyss
+  const backgroundColor = useTransform(scrollYProgress, [0, 0.5, 1], ['#0369a1', '#0c2a4a', '#020617']);
+  const raysOpacity = useTransform(scrollYProgress, [0, 0.6], [0.7, 0]);
+  const farY = useTransform(scrollYProgress, [0, 1], ['0%', '-15%']);
+  const midY = useTransform(scrollYProgress, [0, 1], ['0%', '-35%']);
+  const nearY = useTransform(scrollYProgress, [0, 1], ['0%', '-60%']);
+  const contentOpacity = useTransform(scrollYProgress, [0, 0.45], [1, 0]);
+  const contentY = useTransform(scrollYProgress, [0, 0.45], ['0%', '-20%']);
+
+  // Pointer or gyroscope tilt, -1..1 on each axis, eased with springs
+  const tiltX = useSpring(0, { stiffness: 60, damping: 20 });
+  const tiltY = useSpring(0, { stiffness: 60, damping: 20 });
+  const farX = useTransform(tiltX, [-1, 1], [8, -8]);
+  const midX = useTransform(tiltX, [-1, 1], [16, -16]);
+  const nearX = useTransform(tiltX, [-1, 1], [28, -28]);
+  const nearTiltY = useTransform(tiltY, [-1, 1], [12, -12]);
+
+  const bindPointer = useMove(({ xy: [x, y] }) => {
+    tiltX.set(clampTilt((x / window.innerWidth) * 2 - 1));
+    tiltY.set(clampTilt((y / window.innerHeight) * 2 - 1));
+  });
+
+  useEffect(() => {
+    if (!('DeviceOrientationEvent' in window)) return undefined;
+    // gamma tilts left/right; beta is front/back and rests around 45 degrees when holding a phone
+    const handleOrientation = ({ beta, gamma }) => {
+      if (beta == null || gamma == null) return;
+      tiltX.set(clampTilt(gamma / 30));
+      tiltY.set(clampTilt((beta - 45) / 30));
+    };
+    window.addEventListener('deviceorientation', handleOrientation);
+    return () => window.removeEventListener('deviceorientation', handleOrientation);
+  }, [tiltX, tiltY]);
+
+  return (
+    <section ref={sectionRef} className="relative h-[200vh]">
+      <div {...bindPointer()} className="sticky top-0 h-screen overflow-hidden flex items-center justify-center touch-pan-y">
+        <motion.div className="absolute inset-0" style={{ backgroundColor }} />
+
+        {/* Far layer - sunlight rays from the surface */}
+        <motion.div className="absolute -inset-x-10 -top-10 h-[120%] pointer-events-none" style={{ y: farY, x: farX, opacity: raysOpacity }}>
+          <div className="absolute top-0 left-[15%] w-24 h-full bg-gradient-to-b from-cyan-100/40 to-transparent skew-x-12 blur-2xl" />
+          <div className="absolute top-0 left-[45%] w-40 h-full bg-gradient-to-b from-cyan-100/30 to-transparent -skew-x-6 blur-3xl" />
+          <div className="absolute top-0 left-[75%] w-20 h-full bg-gradient-to-b from-cyan-100/30 to-transparent skew-x-6 blur-2xl" />
+        </motion.div>
+
+        {/* Middle layer - drifting glows */}
+        <motion.div className="absolute -inset-x-10 inset-y-0 pointer-events-none" style={{ y: midY, x: midX }}>
+          <div className="absolute top-1/3 left-1/4 w-72 h-72 rounded-full bg-cyan-400/10 blur-3xl" />
+          <div className="absolute top-2/3 right-1/4 w-96 h-96 rounded-full bg-blue-500/10 blur-3xl" />
+          <MovingLightSystem />
+        </motion.div>
+
+        {/* Near layer - waves and bubbles */}
+        <motion.div className="absolute -inset-x-10 -inset-y-10" style={{ y: nearY }}>
+          <motion.div className="absolute inset-0" style={{ x: nearX, y: nearTiltY }}>
+            <WaveSystem intensity="high" />
+            <BubbleSystem density="medium" />
+          </motion.div>
+        </motion.div>
+
+        <motion.div className="relative z-10 text-center px-4 sm:px-6 lg:px-8 max-w-5xl mx-auto" style={{ opacity: contentOpacity, y: contentY }}>
+          <HeroContent />
+        </motion.div>
+
+        <DepthGauge progress={scrollYProgress} />
+
+        <div className="absolute bottom-0 left-0 right-0 h-32 bg-gradient-to-t from-slate-900 to-transparent pointer-events-none" />
+      </div>
+    </section>
+  );
+};
+
+// Reduced motion and Lite mode get the hero without scroll or tilt effects
+export const HeroSection = () => {
+  const { quality, prefersReducedMotion } = usePerformance();
+  return quality.transitions && !prefersReducedMotion ? <ParallaxHero /> : <StaticHero />;
+};
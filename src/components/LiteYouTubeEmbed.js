@@ -0,0 +1,78 @@
+import { useState } from 'react';
+import { ExternalLink, Shield, PlayCircle } from 'lucide-react';
+import { useConsent } from '../context/ConsentContext';
+import { useTranslation } from '../context/I18nContext';
+import { RippleButton } from './RippleButton';
+
+// YouTube embed that shows only a thumbnail until it is played, so no player code loads up front.
+// Without consent for video embeds nothing is requested from YouTube at all, not even the thumbnail.
+export const LiteYouTubeEmbed = ({ videoId, title, thumbnail, className = '' }) => {
+  const { t, isRTL } = useTranslation();
+  const { consent, allows, updateConsent } = useConsent();
+  const [isPlaying, setIsPlaying] = useState(false);
+
+  if (!allows('embeds')) {
+    return (
+      <div className={`relative aspect-video w-full overflow-hidden rounded-2xl border border-slate-700/60 bg-gradient-to-br from-slate-800 to-blue-950 flex items-center justify-center p-6 text-center ${className}`}>
+        <div className="max-w-md">
+          <Shield className="w-10 h-10 text-cyan-400/80 mx-auto mb-3" />
+          <p className="text-sm text-slate-300 mb-4">{t('consent.embedNotice')}</p>
+          <div className="flex flex-wrap justify-center gap-3">
+            <RippleButton
+              onClick={() => {
+                updateConsent({ ...consent?.choices, embeds: true });
+                setIsPlaying(true);
+              }}
+              className="px-4 py-2 rounded-lg text-sm font-semibold"
+            >
+              <PlayCircle className={`w-4 h-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+              {t('consent.allowAndPlay')}
+            </RippleButton>
+            <a
+              href={`https://www.youtube.com/watch?v=${videoId}`}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="inline-flex items-center px-4 py-2 rounded-lg text-sm text-slate-300 hover:text-cyan-300"
+            >
+              {t('consent.watchOnYouTube')}
+              <ExternalLink className={`w-4 h-4 ${isRTL ? 'mr-2' : 'ml-2'}`} />
+            </a>
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  if (isPlaying) {
+    return (
+      <iframe
+        className={`aspect-video w-full rounded-2xl border border-slate-700/60 shadow-2xl ${className}`}
+        src={`https://www.youtube-nocookie.com/embed/${videoId}?autoplay=1`}
+        title={title}
+        frameBorder="0"
+        allow="accelerometer; autoplay; clipboard-write; encrypted-media; gyroscope; picture-in-picture"
+        allowFullScreen
+      />
+    );
+  }
+
+  return (
+    <button
+      type="button"
+      onClick={() => setIsPlaying(true)}
+      aria-label={t('videos.play', { title })}
+      className={`group/embed relative block aspect-video w-full overflow-hidden rounded-2xl border border-slate-700/60 shadow-2xl bg-slate-800 focus:outline-none focus-visible:ring-2 focus-visible:ring-cyan-400 ${className}`}
+    >
+      <img
+        src={thumbnail || `https://i.ytimg.com/vi/${videoId}/hqdefault.jpg`}
+        alt=""
+        loading="lazy"
+        className="absolute inset-0 w-full h-full object-cover transition-transform duration-500 group-hover/embed:scale-105"
+      />
+      <span className="absolute inset-0 bg-slate-900/30 group-hover/embed:bg-slate-900/10 transition-colors duration-300" />
+      <span className="absolute inset-0 flex items-center justify-center">
+        <PlayCircle className="w-16 h-16 text-white drop-shadow-2xl group-hover/embed:text-cyan-300 transition-colors duration-300" />
+      </span>
+    </button>
+  );
+};
@@ -0,0 +1,91 @@
+import { useEffect, useRef } from 'react';
+import { getParticleEngine, getBubbleCount } from '../particleEngine';
+import { usePerformance } from '../context/PerformanceContext';
+import { useAudioManager } from '../context/AudioContext';
+
+// Wave System Component
+export const WaveSystem = ({ intensity = 'medium', className = '' }) => {
+  const { quality, prefersReducedMotion } = usePerformance();
+  
+  if (prefersReducedMotion || !quality.waves) {
+    return <div className={`absolute inset-0 bg-gradient-to-b from-blue-900/20 to-slate-900/40 ${className}`} />;
+  }
+
+  return (
+    <div className={`absolute inset-0 overflow-hidden ${className}`}>
+      <div className="absolute bottom-0 left-0 w-full h-20 bg-gradient-to-t from-blue-500/30 to-transparent animate-pulse" />
+      <div className="absolute bottom-0 left-0 w-full h-16 bg-gradient-to-t from-cyan-400/20 to-transparent animate-pulse animation-delay-1000" />
+    </div>
+  );
+};
+
+// Interactive Bubble System - draws into a canvas driven by the shared particle engine
+export const BubbleSystem = ({ density = 'medium', className = '' }) => {
+  const { quality, prefersReducedMotion } = usePerformance();
+  const { playBubbleSound } = useAudioManager();
+  const canvasRef = useRef(null);
+
+  const bubbleCount = prefersReducedMotion ? 0 : getBubbleCount(density, quality.bubbleScale);
+
+  useEffect(() => {
+    getParticleEngine().setBudget(quality.bubbleBudget);
+  }, [quality.bubbleBudget]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || bubbleCount === 0) return undefined;
+
+    const emitter = getParticleEngine().register(canvas, { count: bubbleCount });
+    if (!emitter) return undefined;
+
+    const resize = () => emitter.resize(canvas.clientWidth, canvas.clientHeight, window.devicePixelRatio || 1);
+    resize();
+
+    const resizeObserver = typeof ResizeObserver !== 'undefined' ? new ResizeObserver(resize) : null;
+    resizeObserver?.observe(canvas);
+
+    // Stop drawing systems that are scrolled out of view
+    const intersectionObserver = typeof IntersectionObserver !== 'undefined'
+      ? new IntersectionObserver(([entry]) => emitter.setVisible(entry.isIntersecting))
+      : null;
+    intersectionObserver?.observe(canvas);
+
+    // The canvas ignores pointer events so the content above stays usable; listen on its container
+    const region = canvas.parentElement;
+    const handlePointerDown = (e) => {
+      const rect = canvas.getBoundingClientRect();
+      if (emitter.popAt(e.clientX - rect.left, e.clientY - rect.top)) playBubbleSound();
+    };
+    region.addEventListener('pointerdown', handlePointerDown);
+
+    return () => {
+      region.removeEventListener('pointerdown', handlePointerDown);
+      resizeObserver?.disconnect();
+      intersectionObserver?.disconnect();
+      emitter.remove();
+    };
+  }, [bubbleCount, playBubbleSound]);
+
+  if (bubbleCount === 0) return null;
+
+  return (
+    <canvas
+      ref={canvasRef}
+      aria-hidden="true"
+      className={`absolute inset-0 w-full h-full pointer-events-none ${className}`}
+    />
+  );
+};
+
+// Moving Light System
+export const MovingLightSystem = ({ className = '' }) => {
+  const { quality, prefersReducedMotion } = usePerformance();
+
+  if (prefersReducedMotion || !quality.lights) return null;
+
+  return (
+    <div className={`absolute inset-0 pointer-events-none overflow-hidden ${className}`}>
+      <div className="absolute w-96 h-96 opacity-20 animate-pulse bg-gradient-radial from-white/20 to-transparent rounded-full top-1/4 left-1/4 blur-3xl" />
+    </div>
+  );
+};
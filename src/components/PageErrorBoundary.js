@@ -0,0 +1,80 @@
+import { Component } from 'react';
+import { AlertTriangle, RotateCcw, Compass } from 'lucide-react';
+import { reportError } from '../errorReporter';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem, BubbleSystem } from './OceanEffects';
+import { RippleButton } from './RippleButton';
+
+// Shown in place of a page that failed to render; the header and footer stay usable around it
+const PageError = ({ onRetry, onHome }) => {
+  const { t, isRTL } = useTranslation();
+
+  return (
+    <main className="pt-20 pb-16 px-4 sm:px-6 lg:px-8 min-h-screen flex items-center justify-center bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900 relative">
+      <WaveSystem intensity="low" className="opacity-30" />
+      <BubbleSystem density="low" className="opacity-30" />
+
+      <div role="alert" className="max-w-xl mx-auto text-center relative z-10 bg-slate-800/80 backdrop-blur-xl rounded-3xl p-8 lg:p-12 border border-slate-700/60 shadow-2xl">
+        <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-r from-amber-500 to-red-500 rounded-full mb-6">
+          <AlertTriangle className="w-8 h-8 text-white" />
+        </div>
+
+        <h1 className="text-3xl lg:text-4xl font-bold text-white mb-4 font-serif">
+          {t('errorPage.title')}
+        </h1>
+        <p className="text-slate-300 mb-2">{t('a11y.error')}</p>
+        <p className="text-slate-400 mb-8">{t('errorPage.hint')}</p>
+
+        <div className="flex flex-col sm:flex-row gap-4 justify-center">
+          <RippleButton
+            onClick={onRetry}
+            className="flex items-center justify-center px-6 py-3 rounded-xl font-semibold min-h-[44px]"
+          >
+            <RotateCcw className={`w-5 h-5 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+            {t('errorPage.retry')}
+          </RippleButton>
+          {onHome && (
+            <RippleButton
+              onClick={onHome}
+              variant="ghost"
+              className="flex items-center justify-center px-6 py-3 rounded-xl font-semibold min-h-[44px]"
+            >
+              <Compass className={`w-5 h-5 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+              {t('errorPage.home')}
+            </RippleButton>
+          )}
+        </div>
+      </div>
+    </main>
+  );
+};
+
+// Error boundary around each page - a render error replaces only that page and is reported.
+// Retrying renders the page again; moving to another page or language also clears the error.
+export class PageErrorBoundary extends Component {
+  state = { error: null };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    reportError(error, { page: this.props.page, lang: this.props.lang, componentStack: info.componentStack });
+  }
+
+  componentDidUpdate(prevProps) {
+    if (this.state.error && prevProps.resetKey !== this.props.resetKey) {
+      this.setState({ error: null });
+    }
+  }
+
+  handleRetry = () => {
+    if (this.props.onRetry) this.props.onRetry();
+    this.setState({ error: null });
+  };
+
+  render() {
+    if (!this.state.error) return this.props.children;
+    return <PageError onRetry={this.handleRetry} onHome={this.props.onHome} />;
+  }
+}
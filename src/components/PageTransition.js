@@ -0,0 +1,27 @@
+import { useEffect } from 'react';
+import { usePerformance } from '../context/PerformanceContext';
+import { useAudioManager } from '../context/AudioContext';
+
+// Page Transition System
+// Crossfades to the soundscape of the page being entered while the page fades
+export const PageTransition = ({ isTransitioning, soundscape, children }) => {
+  const { setSoundscape } = useAudioManager();
+  const { quality, prefersReducedMotion } = usePerformance();
+  const isAnimated = quality.transitions && !prefersReducedMotion;
+
+  useEffect(() => {
+    setSoundscape(soundscape);
+  }, [soundscape, setSoundscape]);
+
+  return (
+    <div className={isAnimated ? `transition-all duration-700 ${isTransitioning ? 'opacity-0 scale-95 blur-sm' : 'opacity-100 scale-100 blur-0'}` : ''}>
+      <div className={isAnimated ? `transition-transform duration-500 ${isTransitioning ? 'translate-y-8' : 'translate-y-0'}` : ''}>
+        {children}
+      </div>
+      
+      {isAnimated && isTransitioning && (
+        <div className="fixed inset-0 bg-gradient-to-b from-transparent via-blue-900/50 to-slate-900/80 pointer-events-none z-40" />
+      )}
+    </div>
+  );
+};
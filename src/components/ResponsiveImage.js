@@ -0,0 +1,54 @@
+import { useState, useMemo, useRef, useEffect } from 'react';
+import { getResponsiveImage } from '../imageManifest';
+
+// Responsive Image - AVIF/WebP variants over a blurred placeholder, or a gradient when the photo cannot load
+export const ResponsiveImage = ({
+  src,
+  alt,
+  sizes = '100vw',
+  className = '',
+  fallbackClassName = 'bg-gradient-to-br from-blue-600 to-teal-600',
+  priority = false
+}) => {
+  const image = useMemo(() => getResponsiveImage(src), [src]);
+  const [loadState, setLoadState] = useState({ src, status: 'loading' });
+  const imgRef = useRef(null);
+  // A new photo starts loading again
+  const status = loadState.src === src ? loadState.status : 'loading';
+  const placeholder = image?.placeholder;
+
+  // On prerendered pages the photo can finish, or fail, before hydration attaches the handlers
+  useEffect(() => {
+    const img = imgRef.current;
+    if (img?.complete) setLoadState({ src, status: img.naturalWidth > 0 ? 'loaded' : 'error' });
+  }, [src]);
+
+  if (status === 'error') {
+    return <div className={`${className} ${fallbackClassName}`} role={alt ? 'img' : undefined} aria-label={alt || undefined} />;
+  }
+
+  return (
+    <picture
+      className={`block overflow-hidden ${className}`}
+      style={placeholder ? { backgroundImage: `url("${placeholder}")`, backgroundSize: 'cover', backgroundPosition: 'center' } : undefined}
+    >
+      {image?.sources.map((source) => (
+        <source key={source.type} type={source.type} srcSet={source.srcSet} sizes={sizes} />
+      ))}
+      <img
+        ref={imgRef}
+        src={src}
+        alt={alt}
+        width={image?.width}
+        height={image?.height}
+        loading={priority ? 'eager' : 'lazy'}
+        decoding="async"
+        onLoad={() => setLoadState({ src, status: 'loaded' })}
+        onError={() => setLoadState({ src, status: 'error' })}
+        className={`w-full h-full object-cover transition-opacity duration-500 ${
+          placeholder && status !== 'loaded' ? 'opacity-0' : 'opacity-100'
+        }`}
+      />
+    </picture>
+  );
+};
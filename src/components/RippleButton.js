@@ -0,0 +1,40 @@
+import { useCallback } from 'react';
+import { useAudioManager } from '../context/AudioContext';
+
+// Enhanced Ripple Button Component
+export const RippleButton = ({ 
+  children, 
+  onClick, 
+  className = '', 
+  variant = 'primary',
+  disabled = false,
+  ...props 
+}) => {
+  const { playClickSound } = useAudioManager();
+
+  const createRipple = useCallback((event) => {
+    if (disabled) return;
+
+    playClickSound();
+    if (onClick) onClick(event);
+  }, [disabled, onClick, playClickSound]);
+
+  const baseClasses = "relative overflow-hidden transition-all duration-300 focus:outline-none focus:ring-2 focus:ring-cyan-400/50";
+  
+  const variantClasses = {
+    primary: "bg-gradient-to-r from-cyan-500 via-blue-500 to-teal-500 text-white hover:from-cyan-400 hover:via-blue-400 hover:to-teal-400",
+    secondary: "bg-gradient-to-r from-purple-500 to-pink-500 text-white hover:from-purple-400 hover:to-pink-400",
+    ghost: "bg-transparent border border-cyan-400/50 text-cyan-300 hover:bg-cyan-400/10 hover:border-cyan-300"
+  };
+
+  return (
+    <button
+      className={`${baseClasses} ${variantClasses[variant]} ${className} ${disabled ? 'opacity-50 cursor-not-allowed' : 'transform hover:scale-[1.02]'}`}
+      onClick={createRipple}
+      disabled={disabled}
+      {...props}
+    >
+      {children}
+    </button>
+  );
+};
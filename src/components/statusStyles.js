@@ -0,0 +1,9 @@
+
+
+// Badge colours for each suggestion status, shared by the voting board and the admin dashboard
+export const STATUS_STYLES = {
+  approved: 'text-amber-300 border-amber-400/50 bg-amber-400/15',
+  planned: 'text-cyan-300 border-cyan-400/50 bg-cyan-400/15',
+  filmed: 'text-emerald-300 border-emerald-400/50 bg-emerald-400/15',
+  rejected: 'text-red-300 border-red-400/50 bg-red-400/15'
+};
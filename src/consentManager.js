@@ -0,0 +1,77 @@
+// Visitor consent for optional third-party features.
+//
+// Strictly necessary storage (language, audio and Lite mode preferences) needs
+// no consent. Everything else belongs to a category the visitor can allow or
+// refuse: video embeds load YouTube, and analytics sends usage data. Choices
+// are kept in localStorage only, together with the version of the categories
+// they were made for, so adding a category asks everyone again.
+//
+// One shared store holds the current choices so code outside React (such as
+// analytics) can check and follow them too.
+
+export const CONSENT_CATEGORIES = ['embeds', 'analytics'];
+
+export const CONSENT_VERSION = 1;
+
+const STORAGE_KEY = 'consent-preferences';
+
+const refuseAll = () => Object.fromEntries(CONSENT_CATEGORIES.map((category) => [category, false]));
+
+// null until the visitor has decided for the current version
+export const loadConsent = (storage = window.localStorage) => {
+  let saved = null;
+  try {
+    saved = JSON.parse(storage.getItem(STORAGE_KEY));
+  } catch (error) {}
+  if (!saved || saved.version !== CONSENT_VERSION || !saved.choices) return null;
+
+  const choices = refuseAll();
+  CONSENT_CATEGORIES.forEach((category) => {
+    choices[category] = saved.choices[category] === true;
+  });
+  return { choices, decidedAt: saved.decidedAt || null };
+};
+
+export const saveConsent = (choices, { storage = window.localStorage, now = () => new Date() } = {}) => {
+  const consent = { choices: { ...refuseAll(), ...choices }, decidedAt: now().toISOString() };
+  try {
+    storage.setItem(STORAGE_KEY, JSON.stringify({ version: CONSENT_VERSION, ...consent }));
+  } catch (error) {}
+  return consent;
+};
+
+export const createConsentStore = ({ storage = window.localStorage, now } = {}) => {
+  let consent = loadConsent(storage);
+  const listeners = new Set();
+
+  return {
+    getConsent: () => consent,
+
+    isDecided: () => consent !== null,
+
+    // Nothing optional is allowed before the visitor decides
+    allows: (category) => consent?.choices[category] === true,
+
+    update: (choices) => {
+      consent = saveConsent(choices, { storage, now });
+      listeners.forEach((listener) => listener(consent));
+    },
+
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+};
+
+let sharedStore = null;
+
+export const getConsentStore = () => {
+  if (!sharedStore) sharedStore = createConsentStore();
+  return sharedStore;
+};
+
+// Replaces the shared store, e.g. with one on a fake storage in tests
+export const setConsentStore = (store) => {
+  sharedStore = store;
+};
@@ -0,0 +1,53 @@
+import { createConsentStore, loadConsent, saveConsent, CONSENT_VERSION } from './consentManager';
+
+const createMemoryStorage = () => {
+  const values = new Map();
+  return {
+    getItem: (key) => (values.has(key) ? values.get(key) : null),
+    setItem: (key, value) => values.set(key, String(value)),
+    removeItem: (key) => values.delete(key)
+  };
+};
+
+const now = () => new Date('2026-05-01T12:00:00Z');
+
+test('allows nothing optional until the visitor decides', () => {
+  const store = createConsentStore({ storage: createMemoryStorage() });
+  expect(store.isDecided()).toBe(false);
+  expect(store.allows('embeds')).toBe(false);
+  expect(store.allows('analytics')).toBe(false);
+});
+
+test('stores choices per category and notifies subscribers', () => {
+  const storage = createMemoryStorage();
+  const store = createConsentStore({ storage, now });
+  const listener = jest.fn();
+  store.subscribe(listener);
+
+  store.update({ embeds: true });
+  expect(store.allows('embeds')).toBe(true);
+  expect(store.allows('analytics')).toBe(false);
+  expect(listener).toHaveBeenCalledWith({
+    choices: { embeds: true, analytics: false },
+    decidedAt: '2026-05-01T12:00:00.000Z'
+  });
+
+  // A later visit starts from the saved choices
+  expect(createConsentStore({ storage }).allows('embeds')).toBe(true);
+});
+
+test('asks again when the categories change or the saved value is broken', () => {
+  const storage = createMemoryStorage();
+  saveConsent({ embeds: true, analytics: true }, { storage, now });
+  expect(loadConsent(storage).choices).toEqual({ embeds: true, analytics: true });
+
+  const saved = JSON.parse(storage.getItem('consent-preferences'));
+  storage.setItem('consent-preferences', JSON.stringify({ ...saved, version: CONSENT_VERSION - 1 }));
+  expect(loadConsent(storage)).toBeNull();
+
+  storage.setItem('consent-preferences', '{not json');
+  expect(loadConsent(storage)).toBeNull();
+
+  storage.setItem('consent-preferences', JSON.stringify({ version: CONSENT_VERSION, choices: { embeds: 'yes' } }));
+  expect(loadConsent(storage).choices).toEqual({ embeds: false, analytics: false });
+});
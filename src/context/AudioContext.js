@@ -0,0 +1,58 @@
+import { useState, useEffect, useRef, createContext, useContext, useMemo, useCallback } from 'react';
+import {
+  createAudioEngine,
+  loadAudioPreferences,
+  saveAudioPreferences,
+  DEFAULT_AUDIO_PREFERENCES
+} from '../audioEngine';
+import { useBrowserState } from './RenderContext';
+
+// Shared audio - one engine for the whole app so the mute toggle and volumes apply everywhere
+const AudioEngineContext = createContext();
+
+export const useAudioManager = () => {
+  const context = useContext(AudioEngineContext);
+  if (!context) throw new Error('useAudioManager must be used within AudioProvider');
+  return context;
+};
+
+export const AudioProvider = ({ children }) => {
+  // Read before the effect below first saves the preferences
+  const [preferences, setPreferences] = useBrowserState(DEFAULT_AUDIO_PREFERENCES, loadAudioPreferences);
+  const [audioStatus, setAudioStatus] = useState('ok');
+  const engineRef = useRef(null);
+
+  useEffect(() => {
+    if (!engineRef.current) engineRef.current = createAudioEngine({ onStatusChange: setAudioStatus });
+    engineRef.current.configure(preferences);
+    saveAudioPreferences(preferences);
+  }, [preferences]);
+
+  useEffect(() => () => engineRef.current?.unload(), []);
+
+  const playClickSound = useCallback(() => engineRef.current?.playEffect('click'), []);
+  const playBubbleSound = useCallback(() => engineRef.current?.playEffect('bubble'), []);
+  const setSoundscape = useCallback((name) => engineRef.current?.setSoundscape(name), []);
+
+  const toggleAudio = useCallback(() => {
+    setPreferences((prev) => ({ ...prev, enabled: !prev.enabled }));
+  }, [setPreferences]);
+
+  // channel is 'master' or one of AUDIO_CHANNELS
+  const setVolume = useCallback((channel, value) => {
+    setPreferences((prev) => ({ ...prev, [channel]: value }));
+  }, [setPreferences]);
+
+  const value = useMemo(() => ({
+    audioEnabled: preferences.enabled,
+    audioStatus,
+    volumes: { master: preferences.master, ambient: preferences.ambient, effects: preferences.effects },
+    playClickSound,
+    playBubbleSound,
+    toggleAudio,
+    setVolume,
+    setSoundscape
+  }), [preferences, audioStatus, playClickSound, playBubbleSound, toggleAudio, setVolume, setSoundscape]);
+
+  return <AudioEngineContext.Provider value={value}>{children}</AudioEngineContext.Provider>;
+};
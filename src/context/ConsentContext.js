@@ -0,0 +1,37 @@
+import { useState, useEffect, createContext, useContext, useMemo, useCallback } from 'react';
+import { getConsentStore } from '../consentManager';
+import { useBrowserState } from './RenderContext';
+
+// Consent - the visitor's choices for optional third-party features, shared with non-React code through the consent store
+const ConsentContext = createContext();
+
+export const useConsent = () => {
+  const context = useContext(ConsentContext);
+  if (!context) throw new Error('useConsent must be used within ConsentProvider');
+  return context;
+};
+
+export const ConsentProvider = ({ children }) => {
+  // undefined until the stored choices are read: prerendered pages show neither optional content nor the banner
+  const [consent, setConsent] = useBrowserState(undefined, () => getConsentStore().getConsent());
+  const [isPanelOpen, setIsPanelOpen] = useState(false);
+
+  useEffect(() => getConsentStore().subscribe(setConsent), [setConsent]);
+
+  const updateConsent = useCallback((choices) => {
+    getConsentStore().update(choices);
+    setIsPanelOpen(false);
+  }, []);
+
+  const value = useMemo(() => ({
+    consent,
+    isDecided: consent !== null,
+    allows: (category) => consent?.choices[category] === true,
+    updateConsent,
+    isPanelOpen,
+    openPreferences: () => setIsPanelOpen(true),
+    closePreferences: () => setIsPanelOpen(false)
+  }), [consent, updateConsent, isPanelOpen]);
+
+  return <ConsentContext.Provider value={value}>{children}</ConsentContext.Provider>;
+};
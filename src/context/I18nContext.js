@@ -0,0 +1,147 @@
+import { useState, useEffect, useRef, createContext, useContext, useCallback } from 'react';
+import { X, AlertTriangle } from 'lucide-react';
+import { parseLocation } from '../routes';
+import {
+  LOCALES,
+  SUPPORTED_LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isLocaleLoaded,
+  loadLocale,
+  translate,
+  detectBrowserLanguage,
+  getMissingKeys,
+  subscribeMissingKeys
+} from '../i18n';
+import { RenderContext } from './RenderContext';
+
+// Internationalization Context
+const I18nContext = createContext();
+
+export const useTranslation = () => {
+  const context = useContext(I18nContext);
+  if (!context) throw new Error('useTranslation must be used within I18nProvider');
+  return context;
+};
+
+// I18nProvider with proper RTL support
+const getPreferredLanguage = () => {
+  const savedLang = localStorage?.getItem('preferred-language');
+  if (SUPPORTED_LANGUAGES.includes(savedLang)) return savedLang;
+  return detectBrowserLanguage(navigator.languages || [navigator.language]);
+};
+
+export const I18nProvider = ({ children }) => {
+  const { path, hydrating } = useContext(RenderContext);
+  const [currentLang, setCurrentLang] = useState(() => {
+    if (typeof window === 'undefined' || path) return parseLocation(path || '/').lang || DEFAULT_LANGUAGE;
+    // A language prefix in the URL wins over the saved preference
+    const { lang: urlLang } = parseLocation(window.location.pathname);
+    if (urlLang) return urlLang;
+    // Unprefixed pages are prerendered in English, and switch language once hydrated
+    return hydrating ? DEFAULT_LANGUAGE : getPreferredLanguage();
+  });
+  const [isReady, setIsReady] = useState(() => isLocaleLoaded(currentLang));
+  const requestedLang = useRef(currentLang);
+  const wasHydrating = useRef(hydrating);
+
+  const isRTL = LOCALES[currentLang].dir === 'rtl';
+
+  // Catalogs other than English are fetched on first use
+  useEffect(() => {
+    if (isReady) return;
+    loadLocale(currentLang)
+      .catch((error) => console.error('Failed to load translations:', error))
+      .then(() => setIsReady(true));
+  }, [currentLang, isReady]);
+
+  // Keeps showing the current language until the new catalog has arrived
+  const showLanguage = useCallback((newLang) => {
+    requestedLang.current = newLang;
+    loadLocale(newLang)
+      .catch((error) => console.error('Failed to load translations:', error))
+      .then(() => {
+        if (requestedLang.current === newLang) setCurrentLang(newLang);
+      });
+  }, []);
+
+  const setLanguage = useCallback((newLang) => {
+    if (!SUPPORTED_LANGUAGES.includes(newLang)) return;
+    if (typeof window !== 'undefined') {
+      localStorage.setItem('preferred-language', newLang);
+    }
+    showLanguage(newLang);
+  }, [showLanguage]);
+
+  useEffect(() => {
+    if (!wasHydrating.current) return;
+    wasHydrating.current = false;
+    const preferredLang = getPreferredLanguage();
+    if (!parseLocation(window.location.pathname).lang && preferredLang !== currentLang) showLanguage(preferredLang);
+  }, [currentLang, showLanguage]);
+
+  const t = useCallback((key, params) => translate(currentLang, key, params), [currentLang]);
+
+  useEffect(() => {
+    if (typeof document !== 'undefined') {
+      document.dir = LOCALES[currentLang].dir;
+      document.documentElement.dir = LOCALES[currentLang].dir;
+      document.documentElement.lang = currentLang;
+
+      // Installing the app while browsing in Arabic gives it its Arabic name
+      const manifest = LOCALES[currentLang].manifest || 'manifest.json';
+      document.querySelector('link[rel="manifest"]')?.setAttribute('href', `${process.env.PUBLIC_URL}/${manifest}`);
+      
+      if (isRTL) {
+        document.body.style.direction = 'rtl';
+        document.body.style.fontFamily = "'Cairo', 'Segoe UI', sans-serif";
+      } else {
+        document.body.style.direction = 'ltr';
+        document.body.style.fontFamily = "'underdove', 'Inter', sans-serif";
+      }
+    }
+  }, [currentLang, isRTL]);
+
+  if (!isReady) return null;
+
+  return (
+    <I18nContext.Provider value={{ currentLang, isRTL, languages: SUPPORTED_LANGUAGES, setLanguage, t }}>
+      {children}
+      {process.env.NODE_ENV === 'development' && <MissingTranslationsOverlay />}
+    </I18nContext.Provider>
+  );
+};
+
+// Development-only list of keys that fell back to another language or were not found at all
+const MissingTranslationsOverlay = () => {
+  const [missingKeys, setMissingKeys] = useState(getMissingKeys);
+  const [isOpen, setIsOpen] = useState(false);
+  const [dismissedCount, setDismissedCount] = useState(0);
+
+  useEffect(() => subscribeMissingKeys(setMissingKeys), []);
+
+  if (missingKeys.length <= dismissedCount) return null;
+
+  return (
+    <div dir="ltr" lang="en" className="fixed bottom-4 left-4 z-[60] max-w-sm w-[calc(100%-2rem)] rounded-xl bg-amber-950/95 border border-amber-400/50 text-amber-100 text-sm shadow-2xl">
+      <div className="flex items-center justify-between px-4 py-2">
+        <button type="button" onClick={() => setIsOpen(!isOpen)} className="flex items-center font-semibold hover:text-white">
+          <AlertTriangle className="w-4 h-4 mr-2 text-amber-400" />
+          Missing translations ({missingKeys.length})
+        </button>
+        <button type="button" onClick={() => setDismissedCount(missingKeys.length)} aria-label="Dismiss" className="p-1 hover:text-white">
+          <X className="w-4 h-4" />
+        </button>
+      </div>
+      {isOpen && (
+        <ul className="max-h-60 overflow-y-auto px-4 pb-3 space-y-1 font-mono text-xs">
+          {missingKeys.map(({ lang, key, resolvedFrom }) => (
+            <li key={`${lang}:${key}`}>
+              <span className="text-amber-400">{lang}</span> {key}
+              <span className="text-amber-300/70"> {resolvedFrom ? `(using ${resolvedFrom})` : '(not found)'}</span>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+};
@@ -0,0 +1,77 @@
+import { useState, useEffect, createContext, useContext, useMemo, useCallback } from 'react';
+import {
+  QUALITY_SETTINGS,
+  detectDeviceTier,
+  createQualityController,
+  createFpsMonitor,
+  loadLiteMode,
+  saveLiteMode
+} from '../qualityManager';
+import { useBrowserState } from './RenderContext';
+
+// Performance - one shared quality tier, detected from the device and adjusted from the measured frame rate
+const PerformanceContext = createContext();
+
+export const usePerformance = () => {
+  const context = useContext(PerformanceContext);
+  if (!context) throw new Error('usePerformance must be used within PerformanceProvider');
+  return context;
+};
+
+// Pages are prerendered with every effect available; the real device is checked in the browser
+const SERVER_DEVICE = { tier: 'high', prefersReducedMotion: false, supportsBackdropFilter: true };
+
+const detectDevice = () => ({
+  tier: detectDeviceTier(),
+  prefersReducedMotion: window.matchMedia('(prefers-reduced-motion: reduce)').matches,
+  supportsBackdropFilter: CSS.supports('backdrop-filter', 'blur(10px)')
+});
+
+export const PerformanceProvider = ({ children }) => {
+  const [device] = useBrowserState(SERVER_DEVICE, detectDevice);
+  const [measuredTier, setMeasuredTier] = useState(device.tier);
+  const [liteMode, setLiteModeState] = useBrowserState(false, loadLiteMode);
+
+  const controller = useMemo(
+    () => createQualityController({ maxTier: device.tier, onChange: setMeasuredTier }),
+    [device.tier]
+  );
+
+  // A prerendered page only checks the device once it has hydrated
+  useEffect(() => {
+    setMeasuredTier(device.tier);
+  }, [device.tier]);
+
+  // Lite mode is the visitor's choice, so there is nothing to measure
+  useEffect(() => {
+    if (liteMode) return undefined;
+    const monitor = createFpsMonitor({ onSample: controller.reportFps });
+    monitor.start();
+    return () => monitor.stop();
+  }, [liteMode, controller]);
+
+  const setLiteMode = useCallback((enabled) => {
+    setLiteModeState(enabled);
+    saveLiteMode(enabled);
+  }, [setLiteModeState]);
+
+  const tier = liteMode ? 'lite' : measuredTier;
+  const quality = QUALITY_SETTINGS[tier];
+
+  // Blur and decorative CSS animations are switched off with classes on <html> (see index.css)
+  useEffect(() => {
+    document.documentElement.classList.toggle('quality-no-blur', !quality.blur);
+    document.documentElement.classList.toggle('quality-lite', tier === 'lite');
+  }, [tier, quality]);
+
+  const value = useMemo(() => ({
+    tier,
+    quality,
+    prefersReducedMotion: device.prefersReducedMotion,
+    supportsBackdropFilter: device.supportsBackdropFilter,
+    liteMode,
+    setLiteMode
+  }), [tier, quality, device, liteMode, setLiteMode]);
+
+  return <PerformanceContext.Provider value={value}>{children}</PerformanceContext.Provider>;
+};
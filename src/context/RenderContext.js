@@ -0,0 +1,21 @@
+import { useState, useEffect, useRef, createContext, useContext } from 'react';
+
+// Prerendering - scripts/prerender.js renders each public page to HTML for a `path`, which wins over the
+// address bar, and the browser hydrates that HTML with `hydrating` set (see index.js)
+export const RenderContext = createContext({ path: null, hydrating: false });
+
+// State only the browser knows, like stored preferences. While hydrating it keeps the value the page was
+// prerendered with, so React can reuse the markup, and reads the browser's value straight after.
+export const useBrowserState = (serverValue, readBrowserValue) => {
+  const { path, hydrating } = useContext(RenderContext);
+  const [value, setValue] = useState(() => (typeof window === 'undefined' || path || hydrating ? serverValue : readBrowserValue()));
+  const pendingRead = useRef(hydrating ? readBrowserValue : null);
+
+  useEffect(() => {
+    if (!pendingRead.current) return;
+    setValue(pendingRead.current());
+    pendingRead.current = null;
+  }, []);
+
+  return [value, setValue];
+};
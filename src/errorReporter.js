@@ -0,0 +1,60 @@
+// Error reporting for render failures.
+//
+// Pages are wrapped in error boundaries that show a retry screen and hand the
+// error to reportError. Where it goes is up to a pluggable reporter: the
+// default one POSTs to REACT_APP_ERROR_ENDPOINT, which falls back to the local
+// reference server's collector (`npm run server`) through the dev proxy.
+// Setting REACT_APP_ERROR_REPORTING=off keeps errors in the console only.
+//
+// Reports hold the error and the page and language it happened on, never
+// anything the visitor typed or a way to identify them.
+
+import { requestJson } from './apiClient';
+
+const DEFAULT_ENDPOINT = process.env.REACT_APP_ERROR_ENDPOINT || '/api/errors';
+
+// A page that keeps failing on retry should not flood the collector
+const MAX_REPORTS_PER_VISIT = 10;
+
+const MAX_STACK_LENGTH = 4000;
+
+export const createHttpReporter = ({ endpoint = DEFAULT_ENDPOINT, fetchImpl } = {}) => ({
+  report: (report) => requestJson(endpoint, { method: 'POST', body: report, fetchImpl })
+});
+
+export const createConsoleReporter = () => ({
+  report: (report) => {
+    console.error('Reported error:', report);
+  }
+});
+
+let activeReporter = process.env.REACT_APP_ERROR_REPORTING === 'off' ? createConsoleReporter() : createHttpReporter();
+let sentReports = 0;
+
+export const setErrorReporter = (reporter) => {
+  activeReporter = reporter;
+  sentReports = 0;
+};
+
+const truncate = (text, max) => (text && text.length > max ? `${text.slice(0, max)}…` : text || '');
+
+export const buildErrorReport = (error, { page, lang, componentStack } = {}, now = () => new Date()) => ({
+  name: error?.name || 'Error',
+  message: String(error?.message ?? error),
+  stack: truncate(error?.stack, MAX_STACK_LENGTH),
+  componentStack: truncate(componentStack, MAX_STACK_LENGTH),
+  page: page || null,
+  lang: lang || null,
+  path: typeof window === 'undefined' ? null : window.location.pathname,
+  timestamp: now().toISOString()
+});
+
+// Never throws: a failing collector must not take the error screen down with it
+export const reportError = (error, context) => {
+  if (sentReports >= MAX_REPORTS_PER_VISIT) return;
+  sentReports += 1;
+
+  try {
+    Promise.resolve(activeReporter.report(buildErrorReport(error, context))).catch(() => {});
+  } catch (reportingError) {}
+};
@@ -0,0 +1,47 @@
+import { buildErrorReport, createHttpReporter, reportError, setErrorReporter } from './errorReporter';
+
+const now = () => new Date('2024-05-01T10:00:00.000Z');
+
+test('describes the error, where it happened and when', () => {
+  window.history.replaceState(null, '', '/ar/videos');
+  const error = new TypeError("Cannot read properties of undefined (reading 'map')");
+
+  expect(buildErrorReport(error, { page: 'videos', lang: 'ar', componentStack: '\n    at VideosPage' }, now)).toEqual({
+    name: 'TypeError',
+    message: "Cannot read properties of undefined (reading 'map')",
+    stack: error.stack,
+    componentStack: '\n    at VideosPage',
+    page: 'videos',
+    lang: 'ar',
+    path: '/ar/videos',
+    timestamp: '2024-05-01T10:00:00.000Z'
+  });
+});
+
+test('copes with thrown values that are not errors and long stacks', () => {
+  const report = buildErrorReport('plain string', {}, now);
+  expect(report).toMatchObject({ name: 'Error', message: 'plain string', componentStack: '', page: null, lang: null });
+
+  const error = new Error('deep');
+  error.stack = 'x'.repeat(10000);
+  expect(buildErrorReport(error, {}, now).stack).toHaveLength(4001);
+});
+
+test('posts reports to the collector endpoint', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue({ ok: true, status: 201, json: () => Promise.resolve({ id: 'e1' }) });
+  const report = buildErrorReport(new Error('boom'), { page: 'home' }, now);
+
+  await createHttpReporter({ endpoint: '/collector', fetchImpl }).report(report);
+  expect(fetchImpl).toHaveBeenCalledWith('/collector', expect.objectContaining({ method: 'POST', body: JSON.stringify(report) }));
+});
+
+test('reporting never throws and stops after a handful of reports', async () => {
+  const report = jest.fn().mockRejectedValue(new Error('collector offline'));
+  setErrorReporter({ report });
+
+  for (let i = 0; i < 15; i++) reportError(new Error(`failure ${i}`), { page: 'about' });
+  expect(report).toHaveBeenCalledTimes(10);
+
+  setErrorReporter({ report: () => { throw new Error('broken reporter'); } });
+  expect(() => reportError(new Error('again'))).not.toThrow();
+});
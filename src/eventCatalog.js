@@ -0,0 +1,61 @@
+// Mysterious events content.
+//
+// Events are published by editing data/events.json; the home grid and the
+// event pages render whatever it lists, in order. Text fields hold one string
+// per language. English and Arabic are required, and any other language falls
+// back along its locale chain when it has no text of its own.
+
+import EVENTS_DATA from './data/events.json';
+import { localizeText } from './i18n';
+
+export const REQUIRED_EVENT_LANGUAGES = ['en', 'ar'];
+
+export const localizeEvent = (event, lang) => ({
+  ...event,
+  title: localizeText(event.title, lang),
+  description: localizeText(event.description, lang),
+  gallery: (event.gallery || []).map((image) => ({ ...image, alt: localizeText(image.alt, lang) })),
+  video: event.video ? { ...event.video, title: localizeText(event.video.title, lang) } : null,
+  tags: event.tags || []
+});
+
+export const listEvents = (lang, events = EVENTS_DATA.events) => events.map((event) => localizeEvent(event, lang));
+
+// null when no event has the slug
+export const getEvent = (slug, lang, events = EVENTS_DATA.events) => {
+  const event = events.find((candidate) => candidate.slug === slug);
+  return event ? localizeEvent(event, lang) : null;
+};
+
+// Problems that would break a page, one message per problem
+export const validateEvents = (events) => {
+  const problems = [];
+  const slugs = new Set();
+  const checkText = (field, label) => {
+    REQUIRED_EVENT_LANGUAGES.forEach((lang) => {
+      if (!field?.[lang]) problems.push(`${label} has no ${lang} text`);
+    });
+  };
+
+  events.forEach((event, index) => {
+    const name = event.slug || `event #${index + 1}`;
+    if (!/^[a-z0-9]+(-[a-z0-9]+)*$/.test(event.slug || '')) problems.push(`${name}: slug must be lowercase words joined by hyphens`);
+    if (slugs.has(event.slug)) problems.push(`${name}: duplicate slug`);
+    slugs.add(event.slug);
+
+    checkText(event.title, `${name}: title`);
+    checkText(event.description, `${name}: description`);
+    if (!event.heroImage) problems.push(`${name}: heroImage is missing`);
+    if (event.date && Number.isNaN(Date.parse(event.date))) problems.push(`${name}: date is not a valid date`);
+    (event.gallery || []).forEach((image, imageIndex) => {
+      if (!image.src) problems.push(`${name}: gallery image ${imageIndex + 1} has no src`);
+      checkText(image.alt, `${name}: gallery image ${imageIndex + 1} alt`);
+    });
+    if (event.video) {
+      if (!event.video.youtubeId) problems.push(`${name}: video has no youtubeId`);
+      checkText(event.video.title, `${name}: video title`);
+    }
+  });
+
+  return problems;
+};
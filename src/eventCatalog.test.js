@@ -0,0 +1,49 @@
+import EVENTS_DATA from './data/events.json';
+import { listEvents, getEvent, validateEvents } from './eventCatalog';
+import en from './locales/en.json';
+
+const sample = [
+  {
+    slug: 'night-dive',
+    title: { en: 'Night dive', ar: 'غوص ليلي', fr: 'Plongée de nuit' },
+    description: { en: 'Into the dark', ar: 'إلى الظلام' },
+    heroImage: '/images/night.webp',
+    gallery: [{ src: '/images/a.webp', alt: { en: 'A reef', ar: 'شعاب' } }],
+    tags: ['wildlife']
+  }
+];
+
+test('the published events are complete', () => {
+  expect(validateEvents(EVENTS_DATA.events)).toEqual([]);
+});
+
+test('every tag used by an event has a label', () => {
+  const tags = new Set(EVENTS_DATA.events.flatMap((event) => event.tags || []));
+  tags.forEach((tag) => expect(en.events.tags).toHaveProperty(tag));
+});
+
+test('localizes text along the fallback chain', () => {
+  const [event] = listEvents('es', sample);
+  expect(event.title).toBe('Night dive');
+  expect(event.gallery[0].alt).toBe('A reef');
+  expect(event.video).toBeNull();
+
+  expect(getEvent('night-dive', 'fr', sample).title).toBe('Plongée de nuit');
+  expect(getEvent('night-dive', 'ar', sample).description).toBe('إلى الظلام');
+  expect(getEvent('missing', 'en', sample)).toBeNull();
+});
+
+test('reports broken event entries', () => {
+  const broken = [
+    { ...sample[0], slug: 'Night Dive', title: { en: 'Night dive' }, date: 'someday', video: { title: { en: 'Clip', ar: 'مقطع' } } },
+    sample[0],
+    sample[0]
+  ];
+  expect(validateEvents(broken)).toEqual([
+    'Night Dive: slug must be lowercase words joined by hyphens',
+    'Night Dive: title has no ar text',
+    'Night Dive: date is not a valid date',
+    'Night Dive: video has no youtubeId',
+    'night-dive: duplicate slug'
+  ]);
+});
@@ -0,0 +1,19 @@
+// Decrypts secret garden content produced by scripts/encrypt-gardens.js.
+// The AES-GCM key is derived from the garden's access code with PBKDF2, so
+// the content stays unreadable until the right code is entered.
+
+const fromBase64 = (value) => Uint8Array.from(atob(value), (char) => char.charCodeAt(0));
+
+export const decryptGardenContent = async ({ kdf, iv, ciphertext }, code, subtle = window.crypto.subtle) => {
+  const baseKey = await subtle.importKey('raw', new TextEncoder().encode(code), 'PBKDF2', false, ['deriveKey']);
+  const key = await subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: fromBase64(kdf.salt) },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['decrypt']
+  );
+
+  const plaintext = await subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ciphertext));
+  return JSON.parse(new TextDecoder().decode(plaintext));
+};
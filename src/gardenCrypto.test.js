@@ -0,0 +1,34 @@
+import crypto from 'crypto';
+import { decryptGardenContent } from './gardenCrypto';
+
+const { subtle } = crypto.webcrypto;
+
+// Same envelope format as scripts/encrypt-gardens.js
+const encrypt = (content, code, iterations = 1000) => {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const key = crypto.pbkdf2Sync(code, salt, iterations, 32, 'sha256');
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(JSON.stringify(content), 'utf8'), cipher.final(), cipher.getAuthTag()]);
+
+  return {
+    kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: salt.toString('base64') },
+    iv: iv.toString('base64'),
+    ciphertext: ciphertext.toString('base64')
+  };
+};
+
+const content = {
+  images: ['/images/secret-garden/coral-garden-1.jpg'],
+  dedication: { en: 'Roses beneath the sea', ar: 'ورود تحت البحر' }
+};
+
+test('decrypts garden content with the right code', async () => {
+  const envelope = encrypt(content, 'coral');
+  await expect(decryptGardenContent(envelope, 'coral', subtle)).resolves.toEqual(content);
+});
+
+test('rejects the wrong code', async () => {
+  const envelope = encrypt(content, 'coral');
+  await expect(decryptGardenContent(envelope, 'reef', subtle)).rejects.toThrow();
+});
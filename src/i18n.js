@@ -0,0 +1,176 @@
+// Translation catalogs.
+//
+// Each language lives in its own JSON file under ./locales. English is the
+// root of every fallback chain and ships with the main bundle; the other
+// catalogs are split into their own chunks and loaded the first time they are
+// needed. A key missing from a catalog falls back along the chain (fr -> en),
+// so a new language can be added with a locale file and a LOCALES entry. A
+// language may also name its own web app manifest in public/.
+//
+// Messages use a subset of ICU MessageFormat: `{name}` placeholders plus
+// `{count, plural, ...}` and `{value, select, ...}` arguments, where plural
+// categories come from Intl.PluralRules (Arabic uses all six of them).
+
+import en from './locales/en.json';
+
+export const DEFAULT_LANGUAGE = 'en';
+
+export const LOCALES = {
+  en: { label: 'English', dir: 'ltr', fallback: null },
+  ar: { label: 'العربية', dir: 'rtl', fallback: DEFAULT_LANGUAGE, manifest: 'manifest.ar.json' },
+  fr: { label: 'Français', dir: 'ltr', fallback: DEFAULT_LANGUAGE },
+  es: { label: 'Español', dir: 'ltr', fallback: DEFAULT_LANGUAGE }
+};
+
+export const SUPPORTED_LANGUAGES = Object.keys(LOCALES);
+
+const catalogs = { [DEFAULT_LANGUAGE]: en };
+const pending = {};
+
+const loadCatalog = (lang) => import(`./locales/${lang}.json`).then((module) => module.default || module);
+
+export const getFallbackChain = (lang) => {
+  const chain = [];
+  for (let current = lang; current && LOCALES[current] && !chain.includes(current); current = LOCALES[current].fallback) {
+    chain.push(current);
+  }
+  return chain;
+};
+
+export const isLocaleLoaded = (lang) => getFallbackChain(lang).every((code) => catalogs[code]);
+
+// Loads a language and everything it falls back to; resolves once all are cached
+export const loadLocale = (lang) =>
+  Promise.all(getFallbackChain(lang).map((code) => {
+    if (catalogs[code]) return catalogs[code];
+    if (!pending[code]) {
+      pending[code] = loadCatalog(code)
+        .then((catalog) => {
+          catalogs[code] = catalog;
+          return catalog;
+        })
+        .finally(() => {
+          delete pending[code];
+        });
+    }
+    return pending[code];
+  }));
+
+const lookup = (catalog, key) => key.split('.').reduce((value, k) => value?.[k], catalog);
+
+const pluralRules = {};
+const numberFormats = {};
+
+const getPluralRules = (lang) => pluralRules[lang] || (pluralRules[lang] = new Intl.PluralRules(lang));
+const getNumberFormat = (lang) => numberFormats[lang] || (numberFormats[lang] = new Intl.NumberFormat(lang));
+
+// Index of the brace closing the one at `start`, or -1 when unbalanced
+const findClosingBrace = (text, start) => {
+  let depth = 0;
+  for (let i = start; i < text.length; i++) {
+    if (text[i] === '{') depth++;
+    else if (text[i] === '}' && --depth === 0) return i;
+  }
+  return -1;
+};
+
+// "one {# vote} other {# votes}" -> { one: '# vote', other: '# votes' }
+const parseOptions = (text) => {
+  const options = {};
+  let rest = text.trim();
+  for (let match = /^(=\d+|[\w-]+)\s*\{/.exec(rest); match; match = /^(=\d+|[\w-]+)\s*\{/.exec(rest)) {
+    const open = match[0].length - 1;
+    const close = findClosingBrace(rest, open);
+    if (close === -1) break;
+    options[match[1]] = rest.slice(open + 1, close);
+    rest = rest.slice(close + 1).trim();
+  }
+  return options;
+};
+
+const formatArgument = (lang, expression, params) => {
+  const [name, type, ...rest] = expression.split(',');
+  const value = params[name.trim()];
+  if (type === undefined) return value == null ? `{${expression}}` : String(value);
+
+  const options = parseOptions(rest.join(','));
+  if (type.trim() === 'plural') {
+    const count = Number(value);
+    const branch = options[`=${count}`] ?? options[getPluralRules(lang).select(count)] ?? options.other ?? '';
+    return formatMessage(lang, branch, params).replace(/#/g, getNumberFormat(lang).format(count));
+  }
+  if (type.trim() === 'select') {
+    return formatMessage(lang, options[value] ?? options.other ?? '', params);
+  }
+  return `{${expression}}`;
+};
+
+export const formatMessage = (lang, message, params = {}) => {
+  let result = '';
+  let index = 0;
+  while (index < message.length) {
+    const open = message.indexOf('{', index);
+    const close = open === -1 ? -1 : findClosingBrace(message, open);
+    if (close === -1) return result + message.slice(index);
+    result += message.slice(index, open) + formatArgument(lang, message.slice(open + 1, close), params);
+    index = close + 1;
+  }
+  return result;
+};
+
+// Keys a language had to borrow from its fallbacks, or that no catalog has
+const missingKeys = new Map();
+const missingKeyListeners = new Set();
+let notifyScheduled = false;
+
+const reportMissingKey = (lang, key, resolvedFrom) => {
+  const id = `${lang}:${key}`;
+  if (missingKeys.has(id)) return;
+  missingKeys.set(id, { lang, key, resolvedFrom });
+  if (process.env.NODE_ENV === 'development') {
+    console.warn(`Missing translation for "${key}" in ${lang}${resolvedFrom ? `, using ${resolvedFrom}` : ''}`);
+  }
+
+  // Listeners usually set state, which must not happen while a component renders
+  if (notifyScheduled) return;
+  notifyScheduled = true;
+  Promise.resolve().then(() => {
+    notifyScheduled = false;
+    const keys = getMissingKeys();
+    missingKeyListeners.forEach((listener) => listener(keys));
+  });
+};
+
+export const getMissingKeys = () => Array.from(missingKeys.values());
+
+export const subscribeMissingKeys = (listener) => {
+  missingKeyListeners.add(listener);
+  return () => missingKeyListeners.delete(listener);
+};
+
+export const translate = (lang, key, params) => {
+  for (const code of getFallbackChain(lang)) {
+    const value = lookup(catalogs[code], key);
+    if (value != null && value !== '') {
+      if (code !== lang) reportMissingKey(lang, key, code);
+      return params && typeof value === 'string' ? formatMessage(code, value, params) : value;
+    }
+  }
+  reportMissingKey(lang, key, null);
+  return key;
+};
+
+// Content files (events, videos) store text as { en: '...', ar: '...' }; plain strings are used as-is
+export const localizeText = (field, lang) => {
+  if (typeof field === 'string') return field;
+  const code = [...getFallbackChain(lang), DEFAULT_LANGUAGE].find((candidate) => field?.[candidate]);
+  return code ? field[code] : '';
+};
+
+// Picks the first supported language from the browser's preference list
+export const detectBrowserLanguage = (languages = []) => {
+  const match = languages
+    .map((tag) => String(tag).toLowerCase().split('-')[0])
+    .find((code) => SUPPORTED_LANGUAGES.includes(code));
+  return match || DEFAULT_LANGUAGE;
+};
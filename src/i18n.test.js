@@ -0,0 +1,88 @@
+import {
+  getFallbackChain,
+  isLocaleLoaded,
+  loadLocale,
+  translate,
+  formatMessage,
+  detectBrowserLanguage,
+  localizeText,
+  getMissingKeys,
+  subscribeMissingKeys,
+  SUPPORTED_LANGUAGES
+} from './i18n';
+
+test('every supported language falls back to English', () => {
+  expect(getFallbackChain('en')).toEqual(['en']);
+  expect(getFallbackChain('fr')).toEqual(['fr', 'en']);
+  expect(getFallbackChain('xx')).toEqual([]);
+  expect(SUPPORTED_LANGUAGES).toEqual(expect.arrayContaining(['en', 'ar', 'fr', 'es']));
+});
+
+test('loads locales on demand', async () => {
+  expect(isLocaleLoaded('en')).toBe(true);
+  expect(isLocaleLoaded('es')).toBe(false);
+
+  await loadLocale('es');
+  expect(isLocaleLoaded('es')).toBe(true);
+  expect(translate('es', 'nav.home')).toBe('Inicio');
+});
+
+test('falls back along the chain and finally to the key', async () => {
+  await loadLocale('fr');
+  expect(translate('fr', 'nav.home')).toBe('Accueil');
+  expect(translate('fr', 'not.a.key')).toBe('not.a.key');
+  expect(translate('en', 'about.content')).toHaveLength(4);
+});
+
+test('detects the first supported browser language', () => {
+  expect(detectBrowserLanguage(['de-DE', 'fr-CA', 'en'])).toBe('fr');
+  expect(detectBrowserLanguage(['de'])).toBe('en');
+  expect(detectBrowserLanguage([])).toBe('en');
+});
+
+test('localizes content text along the fallback chain', () => {
+  const field = { en: 'Night dive', ar: 'غوص ليلي' };
+  expect(localizeText(field, 'ar')).toBe('غوص ليلي');
+  expect(localizeText(field, 'fr')).toBe('Night dive');
+  expect(localizeText({ ar: 'غوص ليلي' }, 'fr')).toBe('');
+  expect(localizeText('Plain', 'ar')).toBe('Plain');
+});
+
+test('interpolates placeholders and leaves unknown ones intact', () => {
+  expect(formatMessage('en', 'Photo {number} of {total}', { number: 2, total: 4 })).toBe('Photo 2 of 4');
+  expect(formatMessage('en', 'Hello {name}', {})).toBe('Hello {name}');
+  expect(translate('en', 'secretGarden.slideAlt', { number: 1, total: 3 })).toBe('Garden photo 1 of 3');
+});
+
+test('picks plural forms from the language rules', () => {
+  const message = '{count, plural, =0 {no votes} one {# vote} other {# votes}}';
+  expect(formatMessage('en', message, { count: 0 })).toBe('no votes');
+  expect(formatMessage('en', message, { count: 1 })).toBe('1 vote');
+  expect(formatMessage('en', message, { count: 5 })).toBe('5 votes');
+  expect(translate('en', 'secretGarden.attemptsRemaining', { count: 1 })).toBe('(1 attempt remaining)');
+});
+
+test('supports all six Arabic plural forms', () => {
+  const message = '{count, plural, zero {zero} one {one} two {two} few {few #} many {many} other {other}}';
+  expect([0, 1, 2, 3, 11, 100].map((count) => formatMessage('ar', message, { count }).split(' ')[0]))
+    .toEqual(['zero', 'one', 'two', 'few', 'many', 'other']);
+});
+
+test('selects branches by value', () => {
+  const message = '{status, select, planned {Coming soon} other {Open}}';
+  expect(formatMessage('en', message, { status: 'planned' })).toBe('Coming soon');
+  expect(formatMessage('en', message, { status: 'approved' })).toBe('Open');
+});
+
+test('reports keys that fall back or are missing', async () => {
+  const listener = jest.fn();
+  const unsubscribe = subscribeMissingKeys(listener);
+
+  translate('fr', 'no.such.key');
+  translate('fr', 'no.such.key');
+  await Promise.resolve();
+
+  expect(listener).toHaveBeenCalledTimes(1);
+  expect(getMissingKeys()).toContainEqual({ lang: 'fr', key: 'no.such.key', resolvedFrom: null });
+  unsubscribe();
+});
@@ -0,0 +1,27 @@
+// Responsive image variants.
+//
+// scripts/build-images.js writes data/images.json with the AVIF and WebP
+// widths made for each photo in public/images. Photos missing from it (not
+// built yet, or added since) are shown from the original file.
+
+import IMAGE_MANIFEST from './data/images.json';
+
+// In order of preference; browsers take the first type they support
+export const SOURCE_TYPES = { avif: 'image/avif', webp: 'image/webp' };
+
+export const toSrcSet = (variants) => variants.map(({ src, width }) => `${src} ${width}w`).join(', ');
+
+// null when the photo has no variants
+export const getResponsiveImage = (src, manifest = IMAGE_MANIFEST) => {
+  const entry = manifest.images[src];
+  if (!entry) return null;
+
+  return {
+    width: entry.width,
+    height: entry.height,
+    placeholder: entry.placeholder || null,
+    sources: Object.keys(SOURCE_TYPES)
+      .filter((format) => entry.sources?.[format]?.length)
+      .map((format) => ({ type: SOURCE_TYPES[format], srcSet: toSrcSet(entry.sources[format]) }))
+  };
+};
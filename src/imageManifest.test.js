@@ -0,0 +1,41 @@
+import { getResponsiveImage, toSrcSet } from './imageManifest';
+
+const manifest = {
+  images: {
+    '/images/wreck.jpg': {
+      width: 3000,
+      height: 2000,
+      placeholder: 'data:image/webp;base64,AAAA',
+      sources: {
+        webp: [{ width: 480, src: '/images/optimized/wreck-480.webp' }, { width: 960, src: '/images/optimized/wreck-960.webp' }],
+        avif: [{ width: 480, src: '/images/optimized/wreck-480.avif' }]
+      }
+    },
+    '/images/coral.jpg': {
+      width: 800,
+      height: 600,
+      sources: { webp: [{ width: 800, src: '/images/optimized/coral-800.webp' }] }
+    }
+  }
+};
+
+test('builds width descriptors for srcset', () => {
+  expect(toSrcSet([{ width: 480, src: '/a-480.webp' }, { width: 960, src: '/a-960.webp' }])).toBe('/a-480.webp 480w, /a-960.webp 960w');
+});
+
+test('lists AVIF before WebP with the original size and placeholder', () => {
+  expect(getResponsiveImage('/images/wreck.jpg', manifest)).toEqual({
+    width: 3000,
+    height: 2000,
+    placeholder: 'data:image/webp;base64,AAAA',
+    sources: [
+      { type: 'image/avif', srcSet: '/images/optimized/wreck-480.avif 480w' },
+      { type: 'image/webp', srcSet: '/images/optimized/wreck-480.webp 480w, /images/optimized/wreck-960.webp 960w' }
+    ]
+  });
+});
+
+test('photos without a placeholder or variants are shown as they are', () => {
+  expect(getResponsiveImage('/images/coral.jpg', manifest).placeholder).toBeNull();
+  expect(getResponsiveImage('/images/new.jpg', manifest)).toBeNull();
+});
@@ -2,16 +2,54 @@ import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
+import { loadLocale } from './i18n';
+import { parseLocation } from './routes';
+import { PAGES } from './pages';
+import { reportError } from './errorReporter';
+import { trackWebVital, flushAnalyticsOnHide } from './analytics';
 import reportWebVitals from './reportWebVitals';
+import * as serviceWorkerRegistration from './serviceWorkerRegistration';
 
-const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+const container = document.getElementById('root');
+const currentPath = window.location.pathname.replace(/(.)\/$/, '$1');
 
-// If you want to start measuring performance in your app, pass a function
-// to log results (for example: reportWebVitals(console.log))
-// or send to an analytics endpoint. Learn more: https://bit.ly/CRA-vitals
-reportWebVitals();
+// Pages report their own errors (PageErrorBoundary); this catches the rest, like the header
+const rootOptions = {
+  onUncaughtError: (error, { componentStack }) => {
+    console.error(error);
+    reportError(error, { componentStack });
+  }
+};
+
+// Public pages are prerendered at build time (scripts/prerender.js). They are
+// hydrated once their language and page code have loaded; anything else renders
+// from scratch.
+if (container.dataset.prerendered === currentPath) {
+  const { page } = parseLocation(currentPath);
+  Promise.all([loadLocale(document.documentElement.lang), PAGES[page].preload()])
+    .catch((error) => console.error('Failed to load the page:', error))
+    .then(() => {
+      ReactDOM.hydrateRoot(
+        container,
+        <React.StrictMode>
+          <App hydrating />
+        </React.StrictMode>,
+        rootOptions
+      );
+    });
+} else {
+  ReactDOM.createRoot(container, rootOptions).render(
+    <React.StrictMode>
+      <App />
+    </React.StrictMode>
+  );
+}
+
+// Precaches the app so it keeps working with a poor connection. Switch to
+// serviceWorkerRegistration.unregister() to remove an installed service worker.
+serviceWorkerRegistration.register();
+
+// CLS, LCP and FID are batched with the other analytics events, which are only
+// sent while the visitor allows analytics (see analytics.js)
+flushAnalyticsOnHide();
+reportWebVitals(trackWebVital);
@@ -0,0 +1,48 @@
+// Translation coverage.
+//
+// Compares a locale catalog against the reference (English) catalog and lists
+// every key that is missing, has a different shape, or is no longer used.
+// Arrays such as about.content are paragraph lists, so their lengths must match
+// too. Used by locales.test.js to keep every catalog complete.
+
+const describeType = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+
+export const diffCatalogs = (reference, catalog, prefix = '') => {
+  const issues = [];
+  const pathOf = (key) => (prefix ? `${prefix}.${key}` : key);
+
+  Object.keys(reference).forEach((key) => {
+    const expected = reference[key];
+    const actual = catalog?.[key];
+    const path = pathOf(key);
+
+    if (actual === undefined || actual === '') {
+      issues.push({ key: path, issue: 'missing' });
+    } else if (describeType(expected) !== describeType(actual)) {
+      issues.push({ key: path, issue: 'type', expected: describeType(expected), actual: describeType(actual) });
+    } else if (Array.isArray(expected)) {
+      if (expected.length !== actual.length) {
+        issues.push({ key: path, issue: 'length', expected: expected.length, actual: actual.length });
+      }
+    } else if (describeType(expected) === 'object') {
+      issues.push(...diffCatalogs(expected, actual, path));
+    }
+  });
+
+  Object.keys(catalog || {}).forEach((key) => {
+    if (!(key in reference)) issues.push({ key: pathOf(key), issue: 'extra' });
+  });
+
+  return issues;
+};
+
+export const formatCoverageReport = (lang, issues) => {
+  if (issues.length === 0) return `${lang}: complete`;
+  const lines = issues.map(({ key, issue, expected, actual }) => {
+    if (issue === 'missing') return `  - missing ${key}`;
+    if (issue === 'extra') return `  - unknown ${key} (not in the reference catalog)`;
+    const unit = issue === 'length' ? ' items' : '';
+    return `  - ${key}: expected ${expected}${unit}, found ${actual}${unit}`;
+  });
+  return [`${lang}: ${issues.length} problem(s)`, ...lines].join('\n');
+};
@@ -0,0 +1,25 @@
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE } from './i18n';
+import { diffCatalogs, formatCoverageReport } from './localeCoverage';
+
+const loadCatalog = (lang) => require(`./locales/${lang}.json`);
+
+test('diffs nested keys, value types and array lengths', () => {
+  const reference = { nav: { home: 'Home', about: 'About' }, about: { content: ['a', 'b'] }, title: 'Title' };
+  const catalog = { nav: { home: 'Accueil' }, about: { content: ['a'] }, title: ['x'], stale: 'old' };
+
+  expect(diffCatalogs(reference, catalog)).toEqual([
+    { key: 'nav.about', issue: 'missing' },
+    { key: 'about.content', issue: 'length', expected: 2, actual: 1 },
+    { key: 'title', issue: 'type', expected: 'string', actual: 'array' },
+    { key: 'stale', issue: 'extra' }
+  ]);
+  expect(diffCatalogs(reference, reference)).toEqual([]);
+});
+
+test.each(SUPPORTED_LANGUAGES.filter((lang) => lang !== DEFAULT_LANGUAGE))(
+  'the %s catalog covers every English key',
+  (lang) => {
+    const issues = diffCatalogs(loadCatalog(DEFAULT_LANGUAGE), loadCatalog(lang));
+    if (issues.length > 0) throw new Error(formatCoverageReport(lang, issues));
+  }
+);
@@ -0,0 +1,13 @@
+// Offline fallback pages.
+//
+// The service worker falls back to one of these static pages when a page can
+// be neither fetched nor rendered from the cached app shell. Each language
+// with a page of its own in public/ gets it; the others get the English one.
+// The language is the first path segment, as in the app's URLs (see routes.js).
+
+export const OFFLINE_PAGES = {
+  en: '/offline.html',
+  ar: '/offline.ar.html'
+};
+
+export const getOfflinePage = (pathname) => OFFLINE_PAGES[pathname.split('/')[1]] || OFFLINE_PAGES.en;
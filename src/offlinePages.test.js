@@ -0,0 +1,20 @@
+import fs from 'fs';
+import path from 'path';
+import { OFFLINE_PAGES, getOfflinePage } from './offlinePages';
+
+test('picks the offline page in the language of the requested path', () => {
+  expect(getOfflinePage('/ar')).toBe('/offline.ar.html');
+  expect(getOfflinePage('/ar/events/shipwreck-chronicles')).toBe('/offline.ar.html');
+  expect(getOfflinePage('/')).toBe('/offline.html');
+  expect(getOfflinePage('/about')).toBe('/offline.html');
+  expect(getOfflinePage('/fr/about')).toBe('/offline.html');
+  // Only a whole first segment names a language
+  expect(getOfflinePage('/archive')).toBe('/offline.html');
+});
+
+test('every offline page exists and is written in its language', () => {
+  Object.entries(OFFLINE_PAGES).forEach(([lang, page]) => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'public', page), 'utf8');
+    expect(html).toMatch(new RegExp(`<html lang="${lang}"`));
+  });
+});
@@ -0,0 +1,56 @@
+import { Youtube, Fish } from 'lucide-react';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem, BubbleSystem, MovingLightSystem } from '../components/OceanEffects';
+import { RippleButton } from '../components/RippleButton';
+
+// About Page
+const AboutPage = () => {
+  const { t, isRTL } = useTranslation();
+
+  return (
+    <main className="pt-20 pb-16 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900 min-h-screen relative">
+      <WaveSystem intensity="medium" className="opacity-30" />
+      <BubbleSystem density="medium" className="opacity-50" />
+      <MovingLightSystem />
+    
+      <div className="max-w-5xl mx-auto relative z-10">
+        <div className="text-center mb-16">
+          <div className="inline-flex items-center justify-center w-20 h-20 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-full mb-6 shadow-2xl">
+            <Fish className="w-10 h-10 text-white" />
+          </div>
+          <h1 className="text-5xl font-bold text-white mb-6 font-serif bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
+            {t('about.title')}
+          </h1>
+          <p className="text-2xl text-cyan-300 font-light max-w-3xl mx-auto">
+            {t('about.intro')}
+          </p>
+        </div>
+      
+        <div className="bg-gradient-to-br from-slate-800/80 to-slate-900/80 backdrop-blur-xl rounded-3xl p-8 lg:p-16 border border-slate-700/60 shadow-2xl mb-12 relative overflow-hidden">
+          <BubbleSystem density="low" className="opacity-20" />
+        
+          <div className="prose prose-invert prose-lg max-w-none relative z-10">
+            {t('about.content').map((paragraph, index) => (
+              <p key={index} className="text-slate-300 leading-relaxed mb-8 text-lg last:mb-12">
+                {paragraph}
+              </p>
+            ))}
+          </div>
+        
+          <div className="text-center space-y-6 relative z-10">
+            <RippleButton
+              onClick={() => window.open('https://www.youtube.com/@divein4e', '_blank', 'noopener,noreferrer')}
+              variant="secondary"
+              className="px-10 py-5 rounded-full text-lg font-semibold shadow-2xl min-h-[56px] bg-gradient-to-r from-red-500 to-pink-500 hover:from-red-600 hover:to-pink-600"
+            >
+              <Youtube className={`w-6 h-6 ${isRTL ? 'ml-3' : 'mr-3'}`} />
+              {t('about.subscribeCall')}
+            </RippleButton>
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default AboutPage;
@@ -0,0 +1,282 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Search, Download, Trash2, RefreshCw, LogOut, Shield } from 'lucide-react';
+import {
+  fetchSuggestions,
+  updateSuggestion,
+  deleteSuggestion,
+  suggestionsToCsv,
+  SUGGESTION_STATUSES
+} from '../suggestionService';
+import { useTranslation } from '../context/I18nContext';
+import { RippleButton } from '../components/RippleButton';
+import { STATUS_STYLES } from '../components/statusStyles';
+
+// Triggers a browser download for generated text content
+const downloadFile = (filename, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+// Suggestion Moderation Dashboard
+const AdminDashboard = () => {
+  const [token, setToken] = useState(() => sessionStorage.getItem('adminToken') || '');
+  const [tokenInput, setTokenInput] = useState('');
+  const [suggestions, setSuggestions] = useState([]);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [query, setQuery] = useState('');
+  const [statusFilter, setStatusFilter] = useState('all');
+  const { t, currentLang, isRTL } = useTranslation();
+
+  const signOut = useCallback((reason = '') => {
+    sessionStorage.removeItem('adminToken');
+    setToken('');
+    setSuggestions([]);
+    setError(reason);
+  }, []);
+
+  const handleApiError = useCallback((apiError, fallbackKey) => {
+    if (apiError.status === 401) {
+      signOut('admin.unauthorized');
+    } else {
+      setError(fallbackKey);
+    }
+  }, [signOut]);
+
+  const loadSuggestions = useCallback(async () => {
+    if (!token) return;
+    setIsLoading(true);
+    setError('');
+    try {
+      setSuggestions(await fetchSuggestions(token));
+    } catch (apiError) {
+      handleApiError(apiError, 'admin.loadError');
+    } finally {
+      setIsLoading(false);
+    }
+  }, [token, handleApiError]);
+
+  useEffect(() => {
+    loadSuggestions();
+  }, [loadSuggestions]);
+
+  const handleSignIn = (e) => {
+    e.preventDefault();
+    if (!tokenInput.trim()) return;
+    sessionStorage.setItem('adminToken', tokenInput.trim());
+    setToken(tokenInput.trim());
+    setTokenInput('');
+  };
+
+  const applyChanges = async (suggestion, changes) => {
+    try {
+      const updated = await updateSuggestion(token, suggestion.id, changes);
+      setSuggestions(prev => prev.map(item => (item.id === updated.id ? updated : item)));
+    } catch (apiError) {
+      handleApiError(apiError, 'admin.actionError');
+    }
+  };
+
+  const handleStatusChange = (suggestion, status) => {
+    applyChanges(suggestion, { status: suggestion.status === status ? null : status });
+  };
+
+  const handleVideoUrlSave = (e, suggestion) => {
+    e.preventDefault();
+    applyChanges(suggestion, { videoUrl: e.target.elements.videoUrl.value.trim() });
+  };
+
+  const handleDelete = async (suggestion) => {
+    if (!window.confirm(t('admin.confirmDelete'))) return;
+    try {
+      await deleteSuggestion(token, suggestion.id);
+      setSuggestions(prev => prev.filter(item => item.id !== suggestion.id));
+    } catch (apiError) {
+      handleApiError(apiError, 'admin.actionError');
+    }
+  };
+
+  const visibleSuggestions = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    return suggestions.filter((item) => {
+      if (statusFilter === 'untagged' && item.status) return false;
+      if (SUGGESTION_STATUSES.includes(statusFilter) && item.status !== statusFilter) return false;
+      if (!needle) return true;
+      return item.title.toLowerCase().includes(needle) || (item.email || '').toLowerCase().includes(needle);
+    });
+  }, [suggestions, query, statusFilter]);
+
+  const exportName = `dive-suggestions-${new Date().toISOString().slice(0, 10)}`;
+
+  if (!token) {
+    return (
+      <main className="pt-20 pb-16 px-4 min-h-screen flex items-center justify-center bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900">
+        <form onSubmit={handleSignIn} className="max-w-md w-full bg-gradient-to-br from-slate-800/80 to-slate-900/80 backdrop-blur-xl rounded-3xl p-8 border border-slate-700/60 shadow-2xl">
+          <div className="text-center mb-8">
+            <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-full mb-4">
+              <Shield className="w-8 h-8 text-white" />
+            </div>
+            <h1 className="text-3xl font-bold text-white mb-2 font-serif">{t('admin.title')}</h1>
+            <p className="text-slate-300 text-sm">{t('admin.subtitle')}</p>
+          </div>
+
+          <label htmlFor="admin-token" className="block text-sm font-semibold text-slate-200 mb-3">
+            {t('admin.tokenLabel')}
+          </label>
+          <input
+            id="admin-token"
+            type="password"
+            value={tokenInput}
+            onChange={(e) => setTokenInput(e.target.value)}
+            className="w-full px-4 py-3 bg-slate-700/60 border border-slate-600/50 rounded-xl text-white focus:outline-none focus:ring-2 focus:ring-cyan-400/60"
+            autoComplete="off"
+          />
+          {error && <p role="alert" className="mt-2 text-red-400 text-sm">{t(error)}</p>}
+
+          <RippleButton
+            type="submit"
+            disabled={!tokenInput.trim()}
+            className="w-full mt-6 px-6 py-3 rounded-xl font-semibold min-h-[48px]"
+          >
+            {t('admin.signIn')}
+          </RippleButton>
+        </form>
+      </main>
+    );
+  }
+
+  return (
+    <main className="pt-24 pb-16 px-4 sm:px-6 lg:px-8 min-h-screen bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900">
+      <div className="max-w-6xl mx-auto">
+        <div className="flex flex-col md:flex-row md:items-end md:justify-between gap-4 mb-8">
+          <div>
+            <h1 className="text-4xl font-bold text-white mb-2 font-serif bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
+              {t('admin.title')}
+            </h1>
+            <p className="text-slate-300">{t('admin.subtitle')}</p>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <RippleButton onClick={loadSuggestions} variant="ghost" disabled={isLoading} className="flex items-center px-4 py-2 rounded-lg text-sm min-h-[44px]">
+              <RefreshCw className={`w-4 h-4 ${isRTL ? 'ml-2' : 'mr-2'} ${isLoading ? 'animate-spin' : ''}`} />
+              {t('admin.refresh')}
+            </RippleButton>
+            <RippleButton
+              onClick={() => downloadFile(`${exportName}.csv`, `\uFEFF${suggestionsToCsv(visibleSuggestions)}`, 'text/csv;charset=utf-8')}
+              variant="ghost"
+              className="flex items-center px-4 py-2 rounded-lg text-sm min-h-[44px]"
+            >
+              <Download className={`w-4 h-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+              {t('admin.exportCsv')}
+            </RippleButton>
+            <RippleButton
+              onClick={() => downloadFile(`${exportName}.json`, JSON.stringify(visibleSuggestions, null, 2), 'application/json')}
+              variant="ghost"
+              className="flex items-center px-4 py-2 rounded-lg text-sm min-h-[44px]"
+            >
+              <Download className={`w-4 h-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+              {t('admin.exportJson')}
+            </RippleButton>
+            <RippleButton onClick={() => signOut()} variant="ghost" className="flex items-center px-4 py-2 rounded-lg text-sm min-h-[44px]">
+              <LogOut className={`w-4 h-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+              {t('admin.signOut')}
+            </RippleButton>
+          </div>
+        </div>
+
+        <div className="flex flex-col sm:flex-row gap-4 mb-8">
+          <div className="relative flex-1">
+            <Search className={`absolute top-1/2 -translate-y-1/2 w-5 h-5 text-slate-400 ${isRTL ? 'right-4' : 'left-4'}`} />
+            <input
+              type="search"
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder={t('admin.searchPlaceholder')}
+              className={`w-full py-3 bg-slate-700/60 border border-slate-600/50 rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-cyan-400/60 ${isRTL ? 'pr-12 pl-4' : 'pl-12 pr-4'}`}
+            />
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {['all', 'untagged', ...SUGGESTION_STATUSES].map((filter) => (
+              <RippleButton
+                key={filter}
+                onClick={() => setStatusFilter(filter)}
+                variant="ghost"
+                aria-pressed={statusFilter === filter}
+                className={`px-4 py-2 rounded-lg text-sm min-h-[44px] ${statusFilter === filter ? 'text-cyan-400 bg-cyan-400/15 border-cyan-400/50' : 'text-slate-300'}`}
+              >
+                {SUGGESTION_STATUSES.includes(filter) ? t(`admin.statuses.${filter}`) : t(`admin.filters.${filter}`)}
+              </RippleButton>
+            ))}
+          </div>
+        </div>
+
+        {error && <p role="alert" className="mb-6 p-4 rounded-xl bg-red-500/10 border border-red-400/40 text-red-300 text-sm">{t(error)}</p>}
+
+        {!isLoading && visibleSuggestions.length === 0 && (
+          <p className="text-center text-slate-400 py-16">{t('admin.empty')}</p>
+        )}
+
+        <ul className="space-y-4">
+          {visibleSuggestions.map((suggestion) => (
+            <li key={suggestion.id} className="rounded-2xl bg-slate-800/60 backdrop-blur-sm border border-slate-700/50 p-6">
+              <div className="flex flex-col lg:flex-row lg:items-start gap-4">
+                <div className="flex-1 min-w-0">
+                  <h2 className="text-lg font-bold text-white mb-2 font-serif break-words">{suggestion.title}</h2>
+                  <p className="text-slate-400 text-sm">
+                    {suggestion.email || t('admin.noEmail')}
+                    {' · '}
+                    {suggestion.lang.toUpperCase()}
+                    {' · '}
+                    {new Date(suggestion.timestamp).toLocaleString(currentLang)}
+                  </p>
+                  {suggestion.status === 'filmed' && (
+                    <form onSubmit={(e) => handleVideoUrlSave(e, suggestion)} className="flex gap-2 mt-4">
+                      <input
+                        name="videoUrl"
+                        type="url"
+                        defaultValue={suggestion.videoUrl || ''}
+                        placeholder={t('admin.videoUrlPlaceholder')}
+                        className="flex-1 min-w-0 px-3 py-2 bg-slate-700/60 border border-slate-600/50 rounded-lg text-sm text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-cyan-400/60"
+                      />
+                      <RippleButton type="submit" variant="ghost" className="px-3 py-2 rounded-lg text-sm">
+                        {t('admin.saveVideo')}
+                      </RippleButton>
+                    </form>
+                  )}
+                </div>
+                <div className="flex flex-wrap gap-2">
+                  {SUGGESTION_STATUSES.map((status) => (
+                    <RippleButton
+                      key={status}
+                      onClick={() => handleStatusChange(suggestion, status)}
+                      variant="ghost"
+                      aria-pressed={suggestion.status === status}
+                      className={`px-3 py-1.5 rounded-full text-xs font-semibold border ${
+                        suggestion.status === status ? STATUS_STYLES[status] : 'text-slate-400 border-slate-600/60'
+                      }`}
+                    >
+                      {t(`admin.statuses.${status}`)}
+                    </RippleButton>
+                  ))}
+                  <RippleButton
+                    onClick={() => handleDelete(suggestion)}
+                    variant="ghost"
+                    aria-label={t('admin.delete')}
+                    className="px-3 py-1.5 rounded-full text-xs text-red-300 border border-red-400/40 hover:bg-red-400/10"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </RippleButton>
+                </div>
+              </div>
+            </li>
+          ))}
+        </ul>
+      </div>
+    </main>
+  );
+};
+
+export default AdminDashboard;
@@ -0,0 +1,122 @@
+import { useMemo } from 'react';
+import { ChevronDown, Compass } from 'lucide-react';
+import { getEvent } from '../eventCatalog';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem, BubbleSystem } from '../components/OceanEffects';
+import { RippleButton } from '../components/RippleButton';
+import { ResponsiveImage } from '../components/ResponsiveImage';
+import { EventTags, EventGrid } from '../components/EventCards';
+import { LiteYouTubeEmbed } from '../components/LiteYouTubeEmbed';
+
+// Mysterious events - the index of every event and one page per event
+const EventsIndexPage = ({ onOpen }) => {
+  const { t } = useTranslation();
+
+  return (
+    <main className="pt-20 pb-16 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900 min-h-screen relative">
+      <WaveSystem intensity="low" className="opacity-20" />
+      <BubbleSystem density="low" className="opacity-40" />
+
+      <div className="max-w-7xl mx-auto relative z-10">
+        <h1 className="text-5xl font-bold text-white my-12 text-center font-serif bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
+          {t('home.mysteriousEvents')}
+        </h1>
+        <EventGrid onOpen={onOpen} />
+      </div>
+    </main>
+  );
+};
+
+const EventPage = ({ slug, onBack }) => {
+  const { t, currentLang, isRTL } = useTranslation();
+  const event = useMemo(() => getEvent(slug, currentLang), [slug, currentLang]);
+
+  const backButton = (
+    <RippleButton
+      onClick={onBack}
+      variant="ghost"
+      className="px-4 py-2 rounded-lg text-slate-300 hover:text-cyan-300 hover:bg-slate-800/70 mb-8"
+    >
+      <ChevronDown className={`w-5 h-5 ${isRTL ? 'ml-2 -rotate-90' : 'mr-2 rotate-90'}`} />
+      {t('events.backToEvents')}
+    </RippleButton>
+  );
+
+  if (!event) {
+    return (
+      <main className="pt-32 pb-16 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900 min-h-screen relative">
+        <div className="max-w-3xl mx-auto text-center relative z-10">
+          <Compass className="w-16 h-16 text-cyan-400/60 mx-auto mb-6" />
+          <h1 className="text-4xl font-bold text-white mb-4 font-serif">{t('events.notFound')}</h1>
+          <p className="text-slate-300 mb-10">{t('events.notFoundHint')}</p>
+          {backButton}
+        </div>
+      </main>
+    );
+  }
+
+  // Event dates are optional calendar days, the same wherever the page is rendered
+  const published = event.date
+    && new Intl.DateTimeFormat(currentLang, { dateStyle: 'long', timeZone: 'UTC' }).format(new Date(event.date));
+
+  return (
+    <main className="bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900 min-h-screen">
+      <section className="relative h-[60vh] min-h-[360px] overflow-hidden bg-slate-800">
+        <ResponsiveImage src={event.heroImage} alt="" priority className="absolute inset-0 w-full h-full" />
+        <div className="absolute inset-0 bg-gradient-to-t from-slate-900 via-slate-900/40 to-transparent" />
+        <BubbleSystem density="low" className="opacity-40" />
+
+        <div className="absolute bottom-0 inset-x-0 px-4 sm:px-6 lg:px-8 pb-10">
+          <div className="max-w-5xl mx-auto relative z-10">
+            <EventTags tags={event.tags} />
+            <h1 className="text-4xl sm:text-5xl font-bold text-white mt-4 mb-3 font-serif drop-shadow-2xl">
+              {event.title}
+            </h1>
+            {published && (
+              <p className="text-sm text-slate-300">
+                {t('events.publishedOn', { date: published })}
+              </p>
+            )}
+          </div>
+        </div>
+      </section>
+
+      <div className="max-w-5xl mx-auto px-4 sm:px-6 lg:px-8 py-12 relative z-10">
+        {backButton}
+
+        <p className="text-xl text-slate-200 leading-relaxed mb-16 font-light">
+          {event.description}
+        </p>
+
+        {event.gallery.length > 0 && (
+          <section className="mb-16">
+            <h2 className="text-3xl font-bold text-white mb-8 font-serif">{t('events.gallery')}</h2>
+            <div className="grid sm:grid-cols-2 gap-6">
+              {event.gallery.map((image) => (
+                <figure key={image.src} className="overflow-hidden rounded-2xl bg-slate-800/60 border border-slate-700/50">
+                  <ResponsiveImage src={image.src} alt={image.alt} sizes="(min-width: 640px) 50vw, 100vw" className="w-full aspect-video" />
+                  <figcaption className="px-4 py-3 text-sm text-slate-400">{image.alt}</figcaption>
+                </figure>
+              ))}
+            </div>
+          </section>
+        )}
+
+        {event.video && (
+          <section>
+            <h2 className="text-3xl font-bold text-white mb-8 font-serif">{t('events.video')}</h2>
+            <LiteYouTubeEmbed videoId={event.video.youtubeId} title={event.video.title} />
+          </section>
+        )}
+      </div>
+    </main>
+  );
+};
+
+// Events route - the index, or a single event when the path names one
+const EventsPage = ({ params, onNavigate }) => (params.slug
+  ? <EventPage key={params.slug} slug={params.slug} onBack={() => onNavigate('events')} />
+  : <EventsIndexPage onOpen={(slug) => onNavigate('events', { slug })} />
+);
+
+export default EventsPage;
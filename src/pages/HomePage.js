@@ -0,0 +1,360 @@
+import { useState, useEffect, useMemo, useCallback } from 'react';
+import { Youtube, Send, AlertTriangle, RotateCcw, ThumbsUp, PlayCircle } from 'lucide-react';
+import { submitSuggestion, MAX_TITLE_LENGTH } from '../suggestionService';
+import { getFeaturedVideo } from '../videoCatalog';
+import { listTopics, voteForTopic, getVotedTopics, rankTopics } from '../votingService';
+import { trackSuggestion } from '../analytics';
+import { useAudioManager } from '../context/AudioContext';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem, BubbleSystem } from '../components/OceanEffects';
+import { RippleButton } from '../components/RippleButton';
+import { HeroSection } from '../components/HeroSection';
+import { EventGrid } from '../components/EventCards';
+import { LiteYouTubeEmbed } from '../components/LiteYouTubeEmbed';
+import { STATUS_STYLES } from '../components/statusStyles';
+
+const FeaturedVideo = ({ onBrowse }) => {
+  const { t, currentLang, isRTL } = useTranslation();
+  const video = useMemo(() => getFeaturedVideo(currentLang), [currentLang]);
+  if (!video) return null;
+
+  return (
+    <section>
+      <h2 className="text-3xl font-bold text-white mb-8 text-center font-serif">
+        {t('home.featuredVideo')}
+      </h2>
+      <div className="max-w-5xl mx-auto">
+        <LiteYouTubeEmbed videoId={video.id} title={video.title} thumbnail={video.thumbnail} />
+        <div className="mt-6 flex flex-wrap items-center justify-between gap-4">
+          <p className="text-lg text-slate-200 font-serif">{video.title}</p>
+          <RippleButton variant="secondary" onClick={onBrowse} className="px-6 py-3 rounded-full text-sm font-semibold">
+            <Youtube className={`w-5 h-5 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+            {t('home.allVideos')}
+          </RippleButton>
+        </div>
+      </div>
+    </section>
+  );
+};
+
+// Public Topic Voting Board
+const TopicVotingBoard = () => {
+  const [topics, setTopics] = useState([]);
+  const [votedTopics, setVotedTopics] = useState(() => getVotedTopics());
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState('');
+  const [pendingVote, setPendingVote] = useState(null);
+  const { t, isRTL } = useTranslation();
+
+  useEffect(() => {
+    let cancelled = false;
+    listTopics()
+      .then((result) => { if (!cancelled) setTopics(result); })
+      .catch(() => { if (!cancelled) setError('voting.loadError'); })
+      .finally(() => { if (!cancelled) setIsLoading(false); });
+    return () => { cancelled = true; };
+  }, []);
+
+  const handleVote = async (topic) => {
+    setPendingVote(topic.id);
+    setError('');
+    try {
+      const { votes } = await voteForTopic(topic.id);
+      setTopics(prev => rankTopics(prev.map(item => (
+        item.id === topic.id ? { ...item, votes: votes ?? item.votes } : item
+      ))));
+      setVotedTopics(getVotedTopics());
+    } catch (apiError) {
+      setError('voting.voteError');
+    } finally {
+      setPendingVote(null);
+    }
+  };
+
+  return (
+    <section className="mb-20" aria-labelledby="voting-title">
+      <div className="text-center mb-10">
+        <h2 id="voting-title" className="text-3xl font-bold text-white mb-3 font-serif">{t('voting.title')}</h2>
+        <p className="text-slate-300">{t('voting.subtitle')}</p>
+      </div>
+
+      <div className="max-w-3xl mx-auto">
+        {error && <p role="alert" className="mb-6 p-4 rounded-xl bg-red-500/10 border border-red-400/40 text-red-300 text-sm">{t(error)}</p>}
+
+        {isLoading && (
+          <p className="text-center text-slate-400" role="status">{t('a11y.loading')}</p>
+        )}
+
+        {!isLoading && !error && topics.length === 0 && (
+          <p className="text-center text-slate-400">{t('voting.empty')}</p>
+        )}
+
+        <ol className="space-y-4">
+          {topics.map((topic, index) => {
+            const hasVoted = votedTopics.includes(topic.id);
+            return (
+              <li key={topic.id} className="flex items-center gap-4 rounded-2xl bg-slate-800/60 backdrop-blur-sm border border-slate-700/50 hover:border-cyan-400/40 transition-all duration-500 p-5">
+                <span className="text-2xl font-bold text-cyan-400 w-8 text-center font-serif">{index + 1}</span>
+                <div className="flex-1 min-w-0">
+                  <h3 className="font-bold text-white mb-2 font-serif break-words">{topic.title}</h3>
+                  <div className="flex flex-wrap items-center gap-3 text-sm">
+                    <span className={`px-3 py-0.5 rounded-full text-xs font-semibold border ${STATUS_STYLES[topic.status]}`}>
+                      {t(`voting.statuses.${topic.status}`)}
+                    </span>
+                    {topic.status === 'filmed' && topic.videoUrl && (
+                      <a
+                        href={topic.videoUrl}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="inline-flex items-center text-cyan-300 hover:text-cyan-200"
+                      >
+                        <PlayCircle className={`w-4 h-4 ${isRTL ? 'ml-1' : 'mr-1'}`} />
+                        {t('voting.watch')}
+                      </a>
+                    )}
+                  </div>
+                </div>
+                <RippleButton
+                  onClick={() => handleVote(topic)}
+                  disabled={hasVoted || pendingVote === topic.id}
+                  variant="ghost"
+                  aria-pressed={hasVoted}
+                  aria-label={`${hasVoted ? t('voting.voted') : t('voting.vote')}: ${topic.title}`}
+                  className="flex flex-col items-center px-4 py-2 rounded-xl min-w-[72px] min-h-[56px]"
+                >
+                  <ThumbsUp className="w-5 h-5 mb-1" />
+                  <span className="text-sm font-semibold">{topic.votes}</span>
+                  <span className="sr-only">{t('voting.votes', { count: topic.votes })}</span>
+                </RippleButton>
+              </li>
+            );
+          })}
+        </ol>
+      </div>
+    </section>
+  );
+};
+
+// Validation codes the suggestion API sends back (422 details) for fields of the form
+const SERVER_FIELD_ERRORS = {
+  title: { required: 'home.errors.titleRequired', tooLong: 'home.errors.titleTooLong' },
+  email: { invalid: 'home.errors.emailInvalid' }
+};
+
+// Field errors for a rejected submission, or null when retrying is the only way forward
+const toFieldErrors = (error) => {
+  if (error.status !== 422 || !error.details) return null;
+  const errors = {};
+  Object.entries(error.details).forEach(([field, code]) => {
+    const key = SERVER_FIELD_ERRORS[field]?.[code];
+    if (key) errors[field] = key;
+  });
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+// Dive suggestion form - posts to the suggestion API and moves on to the thank-you page
+const SuggestionForm = ({ onSubmitted }) => {
+  const [suggestionForm, setSuggestionForm] = useState({ title: '', email: '' });
+  const [formErrors, setFormErrors] = useState({});
+  const [isSubmitting, setIsSubmitting] = useState(false);
+  const [submitFailed, setSubmitFailed] = useState(false);
+  const { t, isRTL, currentLang } = useTranslation();
+  const { playClickSound } = useAudioManager();
+
+  // Errors hold translation keys so they follow language changes
+  const validateForm = () => {
+    const errors = {};
+    if (!suggestionForm.title.trim()) {
+      errors.title = 'home.errors.titleRequired';
+    } else if (suggestionForm.title.trim().length > MAX_TITLE_LENGTH) {
+      errors.title = 'home.errors.titleTooLong';
+    }
+    if (suggestionForm.email && !/\S+@\S+\.\S+/.test(suggestionForm.email)) {
+      errors.email = 'home.errors.emailInvalid';
+    }
+    setFormErrors(errors);
+    return Object.keys(errors).length === 0;
+  };
+
+  const handleInputChange = useCallback((field, value) => {
+    setSuggestionForm(prev => ({ ...prev, [field]: value }));
+    if (formErrors[field]) {
+      setFormErrors(prev => ({ ...prev, [field]: '' }));
+    }
+  }, [formErrors]);
+
+  const handleSuggestionSubmit = async (e) => {
+    e.preventDefault();
+  
+    if (!validateForm()) return;
+
+    setIsSubmitting(true);
+    setSubmitFailed(false);
+    playClickSound();
+  
+    try {
+      await submitSuggestion({ ...suggestionForm, lang: currentLang });
+      trackSuggestion(currentLang);
+      onSubmitted();
+      setSuggestionForm({ title: '', email: '' });
+      setFormErrors({});
+    } catch (error) {
+      const fieldErrors = toFieldErrors(error);
+      if (fieldErrors) {
+        setFormErrors(fieldErrors);
+      } else {
+        console.error('Form submission error:', error);
+        setSubmitFailed(true);
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
+  };
+
+  return (
+    <>
+      <section className="mb-20">
+        <div className="max-w-3xl mx-auto">
+          <div className="bg-gradient-to-br from-slate-800/80 to-slate-900/80 backdrop-blur-xl rounded-3xl p-8 lg:p-12 border border-slate-700/60 shadow-2xl relative overflow-hidden">
+            <BubbleSystem density="low" className="opacity-30" />
+        
+            <div className="text-center mb-8 relative z-10">
+              <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-r from-cyan-500 to-blue-500 rounded-full mb-4">
+                <Send className="w-8 h-8 text-white" />
+              </div>
+              <h2 className="text-3xl font-bold text-white mb-3 font-serif">
+                {t('home.suggestTitle')}
+              </h2>
+            </div>
+        
+            <form onSubmit={handleSuggestionSubmit} className="space-y-6 relative z-10">
+              <div>
+                <label className="block text-sm font-semibold text-slate-200 mb-3">
+                  {t('home.titleLabel')} *
+                </label>
+                <input
+                  type="text"
+                  placeholder={t('home.titlePlaceholder')}
+                  value={suggestionForm.title}
+                  onChange={(e) => handleInputChange('title', e.target.value)}
+                  maxLength={MAX_TITLE_LENGTH}
+                  className={`w-full px-6 py-4 bg-slate-700/60 border rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-300 text-lg backdrop-blur-sm ${
+                    formErrors.title ? 'border-red-400 focus:ring-red-400/50' : 'border-slate-600/50 focus:ring-cyan-400/60'
+                  }`}
+                  required
+                />
+                {formErrors.title && (
+                  <p className="mt-2 text-red-400 text-sm">
+                    {t(formErrors.title, { max: MAX_TITLE_LENGTH })}
+                  </p>
+                )}
+              </div>
+          
+              <div>
+                <label className="block text-sm font-semibold text-slate-200 mb-3">
+                  {t('home.emailLabel')}
+                </label>
+                <input
+                  type="email"
+                  placeholder={t('home.emailPlaceholder')}
+                  value={suggestionForm.email}
+                  onChange={(e) => handleInputChange('email', e.target.value)}
+                  className={`w-full px-6 py-4 bg-slate-700/60 border rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:border-transparent transition-all duration-300 text-lg backdrop-blur-sm ${
+                    formErrors.email ? 'border-red-400 focus:ring-red-400/50' : 'border-slate-600/50 focus:ring-cyan-400/60'
+                  }`}
+                />
+                {formErrors.email && (
+                  <p className="mt-2 text-red-400 text-sm">
+                    {t(formErrors.email)}
+                  </p>
+                )}
+              </div>
+          
+              <RippleButton
+                type="submit"
+                disabled={isSubmitting}
+                className="w-full px-8 py-5 rounded-xl text-lg font-semibold shadow-xl min-h-[56px] disabled:opacity-50 disabled:cursor-not-allowed"
+              >
+                {isSubmitting ? (
+                  <>
+                    <div className="w-6 h-6 border-2 border-white/20 border-t-white rounded-full animate-spin mr-3 rtl:ml-3 rtl:mr-0" />
+                    {t('home.submitting')}
+                  </>
+                ) : (
+                  <>
+                    <Send className={`w-6 h-6 ${isRTL ? 'ml-3' : 'mr-3'}`} />
+                    {t('home.submitSuggestion')}
+                  </>
+                )}
+              </RippleButton>
+
+              {submitFailed && !isSubmitting && (
+                <div role="alert" className="flex flex-col sm:flex-row sm:items-center gap-4 p-4 rounded-xl bg-red-500/10 border border-red-400/40">
+                  <p className="flex-1 flex items-start text-red-300 text-sm leading-relaxed">
+                    <AlertTriangle className={`w-5 h-5 flex-shrink-0 ${isRTL ? 'ml-3' : 'mr-3'}`} />
+                    {t('home.submitError')}
+                  </p>
+                  <RippleButton
+                    type="button"
+                    onClick={handleSuggestionSubmit}
+                    variant="ghost"
+                    className="flex items-center justify-center px-5 py-3 rounded-lg text-sm font-semibold min-h-[44px]"
+                  >
+                    <RotateCcw className={`w-4 h-4 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+                    {t('home.retrySubmit')}
+                  </RippleButton>
+                </div>
+              )}
+            </form>
+          </div>
+        </div>
+      </section>
+
+      {isSubmitting && (
+        <div className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50">
+          <div className="bg-slate-800 rounded-lg p-6 shadow-2xl relative">
+            <BubbleSystem density="low" className="opacity-30" />
+            <div className="flex items-center space-x-3 relative z-10">
+              <div className="w-6 h-6 border-2 border-cyan-400/20 border-t-cyan-400 rounded-full animate-spin"></div>
+              <span className="text-white font-medium">{t('home.submittingOverlay')}</span>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+};
+
+// Home Page
+const HomePage = ({ onNavigate }) => {
+  const { t } = useTranslation();
+
+  return (
+    <div className="bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900 min-h-screen">
+      <HeroSection />
+    
+      <main id="main-content" className="py-20 px-4 sm:px-6 lg:px-8 relative">
+        <WaveSystem intensity="low" className="opacity-20" />
+        <BubbleSystem density="low" className="opacity-40" />
+      
+        <div className="max-w-7xl mx-auto relative z-10">
+          <section className="mb-20">
+            <h2 className="text-4xl font-bold text-white mb-4 text-center font-serif bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
+              {t('home.mysteriousEvents')}
+            </h2>
+          
+            <EventGrid onOpen={(slug) => onNavigate('events', { slug })} />
+          </section>
+
+          <SuggestionForm onSubmitted={() => onNavigate('thank-you')} />
+
+          <TopicVotingBoard />
+
+          <FeaturedVideo onBrowse={() => onNavigate('videos')} />
+        </div>
+      </main>
+    </div>
+  );
+};
+
+export default HomePage;
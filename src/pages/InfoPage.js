@@ -0,0 +1,96 @@
+import { Youtube, Instagram, MessageCircle, ExternalLink, Shield } from 'lucide-react';
+import { trackOutboundClick } from '../analytics';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem, BubbleSystem } from '../components/OceanEffects';
+import { RippleButton } from '../components/RippleButton';
+
+const SOCIAL_PLATFORMS = [
+  { 
+    key: 'youtube', 
+    icon: Youtube, 
+    url: 'https://www.youtube.com/@divein4e',
+    color: 'from-red-500 to-red-600'
+  },
+  { 
+    key: 'instagram', 
+    icon: Instagram, 
+    url: 'https://www.instagram.com/search.cr',
+    color: 'from-pink-500 to-purple-600'
+  },
+  { 
+    key: 'tiktok', 
+    icon: MessageCircle, 
+    url: 'https://www.tiktok.com/@divein4e',
+    color: 'from-purple-500 to-pink-500'
+  },
+  { 
+    key: 'discord', 
+    icon: MessageCircle, 
+    url: 'https://discord.gg/WNCgGfg3',
+    color: 'from-indigo-500 to-purple-600'
+  }
+];
+
+// Info Page
+const InfoPage = () => {
+  const { t, isRTL } = useTranslation();
+
+  return (
+    <main className="pt-20 pb-16 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900 min-h-screen relative">
+      <WaveSystem intensity="medium" className="opacity-25" />
+      <BubbleSystem density="medium" className="opacity-40" />
+    
+      <div className="max-w-6xl mx-auto relative z-10">
+        <div className="text-center mb-16">
+          <div className="inline-flex items-center justify-center w-20 h-20 bg-gradient-to-r from-purple-500 to-pink-500 rounded-full mb-6 shadow-2xl">
+            <MessageCircle className="w-10 h-10 text-white" />
+          </div>
+          <h1 className="text-5xl font-bold text-white mb-6 font-serif bg-gradient-to-r from-purple-400 to-pink-400 bg-clip-text text-transparent">
+            {t('info.title')}
+          </h1>
+          <p className="text-xl text-slate-300 max-w-4xl mx-auto leading-relaxed">
+            {t('info.subtitle')}
+          </p>
+        </div>
+      
+        <div className="grid sm:grid-cols-2 gap-8">
+          {SOCIAL_PLATFORMS.map((platform, index) => (
+            <RippleButton
+              key={index}
+              onClick={() => {
+                trackOutboundClick(platform.key, platform.url);
+                window.open(platform.url, '_blank', 'noopener,noreferrer');
+              }}
+              variant="ghost"
+              className="group block p-8 bg-gradient-to-br from-slate-800/80 to-slate-900/80 backdrop-blur-xl rounded-2xl border border-slate-700/60 hover:border-cyan-400/40 shadow-xl text-left relative overflow-hidden"
+            >
+              <BubbleSystem density="low" className="opacity-20" />
+            
+              <div className="flex items-start space-x-6 rtl:space-x-reverse relative z-10">
+                <div className={`p-4 rounded-2xl bg-gradient-to-r ${platform.color} group-hover:shadow-2xl transition-all duration-500 flex-shrink-0`}>
+                  <platform.icon className="w-8 h-8 text-white" />
+                </div>
+                <div className="flex-1 min-w-0">
+                  <h3 className="text-xl font-semibold text-white group-hover:text-cyan-300 transition-colors duration-300 mb-3 flex items-center font-serif">
+                    {t(`info.platforms.${platform.key}.name`)}
+                    <ExternalLink className={`w-5 h-5 opacity-0 group-hover:opacity-100 transition-all duration-500 ${isRTL ? 'mr-3' : 'ml-3'}`} />
+                  </h3>
+                  <p className="text-slate-400 leading-relaxed group-hover:text-slate-300 transition-colors duration-300">
+                    {t(`info.platforms.${platform.key}.desc`)}
+                  </p>
+                </div>
+              </div>
+            </RippleButton>
+          ))}
+        </div>
+
+        <p className="mt-10 flex items-start justify-center gap-2 text-sm text-slate-400 text-center max-w-3xl mx-auto">
+          <Shield className="w-4 h-4 mt-0.5 flex-shrink-0" />
+          {t('consent.outboundNotice')}
+        </p>
+      </div>
+    </main>
+  );
+};
+
+export default InfoPage;
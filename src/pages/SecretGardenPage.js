@@ -0,0 +1,318 @@
+import { useState, useEffect } from 'react';
+import { Compass, Heart, Lock, Unlock } from 'lucide-react';
+import {
+  verifySecretCode,
+  getSecretSession,
+  clearSecretSession,
+  DEFAULT_GARDEN_ID,
+  MAX_SECRET_ATTEMPTS
+} from '../secretGardenService';
+import { DEFAULT_LANGUAGE } from '../i18n';
+import { useAudioManager } from '../context/AudioContext';
+import { useTranslation } from '../context/I18nContext';
+import { BubbleSystem, MovingLightSystem } from '../components/OceanEffects';
+import { RippleButton } from '../components/RippleButton';
+import { ResponsiveImage } from '../components/ResponsiveImage';
+
+// Typewriter Text Component
+const TypewriterText = ({ text, className, speed = 50 }) => {
+  const [displayText, setDisplayText] = useState('');
+  const [index, setIndex] = useState(0);
+
+  useEffect(() => {
+    if (index < text.length) {
+      const timer = setTimeout(() => {
+        setDisplayText(prev => prev + text[index]);
+        setIndex(index + 1);
+      }, speed);
+      
+      return () => clearTimeout(timer);
+    }
+  }, [index, text, speed]);
+
+  return (
+    <div className={className}>
+      {displayText.split('\n').map((line, i) => (
+        <div key={i} className={i > 0 ? 'mt-4' : ''}>
+          {line}
+          {index === text.length && i === displayText.split('\n').length - 1 && (
+            <span className="animate-pulse ml-1">|</span>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+};
+
+// Secret Garden Lock Component
+const SecretGardenLock = ({ gardenId, onUnlock }) => {
+  const [code, setCode] = useState('');
+  const [attempts, setAttempts] = useState(0);
+  const [isLocked, setIsLocked] = useState(false);
+  const [lockUntil, setLockUntil] = useState(null);
+  const [isVerifying, setIsVerifying] = useState(false);
+  const [verifyFailed, setVerifyFailed] = useState(false);
+  const { t } = useTranslation();
+  const { playClickSound } = useAudioManager();
+
+  // Restore a lockout reported by the server earlier in this browser
+  useEffect(() => {
+    const savedLockUntil = localStorage.getItem('secretLockUntil');
+    if (savedLockUntil) {
+      const lockTime = parseInt(savedLockUntil);
+      if (new Date().getTime() < lockTime) {
+        setIsLocked(true);
+        setLockUntil(lockTime);
+      } else {
+        localStorage.removeItem('secretLockUntil');
+      }
+    }
+  }, []);
+
+  // Handle lockout timer
+  useEffect(() => {
+    if (isLocked && lockUntil) {
+      const timer = setInterval(() => {
+        if (new Date().getTime() >= lockUntil) {
+          setIsLocked(false);
+          setLockUntil(null);
+          setAttempts(0);
+          localStorage.removeItem('secretLockUntil');
+          clearInterval(timer);
+        }
+      }, 1000);
+
+      return () => clearInterval(timer);
+    }
+  }, [isLocked, lockUntil]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (isLocked || isVerifying || !code.trim()) return;
+
+    playClickSound();
+    setIsVerifying(true);
+    setVerifyFailed(false);
+
+    try {
+      const session = await verifySecretCode(gardenId, code);
+      localStorage.removeItem('secretLockUntil');
+      onUnlock(session);
+    } catch (error) {
+      if (error.status === 401) {
+        setAttempts(MAX_SECRET_ATTEMPTS - (error.details?.attemptsRemaining ?? 0));
+      } else if (error.status === 429) {
+        // The server enforces the lockout; mirror it locally for the countdown
+        const lockTime = new Date().getTime() + (error.details?.retryAfter ?? 15 * 60) * 1000;
+        setLockUntil(lockTime);
+        setIsLocked(true);
+        setAttempts(MAX_SECRET_ATTEMPTS);
+        localStorage.setItem('secretLockUntil', lockTime.toString());
+      } else {
+        setVerifyFailed(true);
+      }
+      setCode('');
+    } finally {
+      setIsVerifying(false);
+    }
+  };
+
+  const remainingTime = isLocked && lockUntil 
+    ? Math.ceil((lockUntil - new Date().getTime()) / 60000)
+    : 0;
+
+  return (
+    <div className="min-h-screen bg-gradient-to-b from-slate-900 via-blue-900 to-slate-900 flex items-center justify-center p-4 relative overflow-hidden">
+      <BubbleSystem density="low" className="opacity-30" />
+      <MovingLightSystem />
+      
+      <div className="max-w-md w-full bg-slate-800/60 backdrop-blur-2xl rounded-2xl p-8 border border-cyan-400/30 shadow-2xl relative">
+        <BubbleSystem density="low" className="opacity-20" />
+        
+        <div className="text-center mb-8 relative z-10">
+          <div className="w-20 h-20 mx-auto mb-4 bg-gradient-to-br from-cyan-400 to-blue-500 rounded-full flex items-center justify-center shadow-xl">
+            <Lock className="w-10 h-10 text-white" />
+          </div>
+          <h2 className="text-2xl font-bold text-white mb-2 font-serif">{t('secretGarden.lockTitle')}</h2>
+          <p className="text-cyan-200 text-sm leading-relaxed">{t('secretGarden.lockSubtitle')}</p>
+        </div>
+
+        <form onSubmit={handleSubmit} className="mb-6 relative z-10">
+          <input
+            type="password"
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            placeholder={t('secretGarden.placeholder')}
+            className="w-full px-4 py-3 bg-slate-700/50 border border-cyan-400/30 rounded-lg text-white placeholder-cyan-300/50 focus:outline-none focus:border-cyan-400 focus:ring-2 focus:ring-cyan-400/20 backdrop-blur-sm"
+            disabled={isLocked}
+          />
+          
+          {attempts > 0 && attempts < MAX_SECRET_ATTEMPTS && (
+            <p className="text-red-400 text-sm mt-2">{t('secretGarden.wrongCode')} {t('secretGarden.attemptsRemaining', { count: MAX_SECRET_ATTEMPTS - attempts })}</p>
+          )}
+
+          {verifyFailed && (
+            <p role="alert" className="text-red-400 text-sm mt-2">{t('secretGarden.verifyError')}</p>
+          )}
+          
+          {isLocked && (
+            <p className="text-red-400 text-sm mt-2">
+              {t('secretGarden.tooManyAttempts')} {t('secretGarden.minutesRemaining', { count: remainingTime })}
+            </p>
+          )}
+
+          <RippleButton
+            type="submit"
+            disabled={isLocked || isVerifying || !code.trim()}
+            className="w-full mt-4 px-6 py-3 rounded-lg font-semibold"
+          >
+            <Unlock className="w-5 h-5 mr-2 rtl:ml-2 rtl:mr-0" />
+            {t('secretGarden.unlock')}
+          </RippleButton>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+// Secret Garden Main Component
+const SecretGarden = ({ garden, onReturn }) => {
+  const [currentImage, setCurrentImage] = useState(0);
+  const [showText, setShowText] = useState(false);
+  const { t, isRTL, currentLang } = useTranslation();
+  const { playBubbleSound } = useAudioManager();
+
+  // Slideshow images with gradient fallbacks come from the garden manifest
+  const { images } = garden;
+  const dedication = garden.dedication[currentLang] || garden.dedication[DEFAULT_LANGUAGE];
+
+  // Slideshow effect
+  useEffect(() => {
+    const interval = setInterval(() => {
+      setCurrentImage((prev) => (prev + 1) % images.length);
+    }, 8000);
+    
+    const textTimer = setTimeout(() => setShowText(true), 2000);
+    
+    return () => {
+      clearInterval(interval);
+      clearTimeout(textTimer);
+    };
+  }, [images.length]);
+
+  // Play gentle bubble sounds
+  useEffect(() => {
+    playBubbleSound();
+  }, [playBubbleSound]);
+
+  const handleReturn = () => {
+    // Clear session on return
+    clearSecretSession(garden.id);
+    onReturn();
+  };
+  
+  return (
+    <div className="min-h-screen relative overflow-hidden">
+      {/* Background Slideshow - only the slide fading out, the current one and the next are mounted */}
+      {images.map((image, index) => {
+        const offset = (index - currentImage + images.length) % images.length;
+        if (offset > 1 && offset < images.length - 1) return null;
+
+        return (
+          <div
+            key={index}
+            className={`absolute inset-0 transition-opacity duration-2000 ${
+              index === currentImage ? 'opacity-100' : 'opacity-0'
+            }`}
+          >
+            <ResponsiveImage
+              src={image.src}
+              alt={t('secretGarden.slideAlt', { number: index + 1, total: images.length })}
+              priority={index === currentImage}
+              className="w-full h-full"
+              fallbackClassName={`bg-gradient-to-br ${image.gradient}`}
+            />
+          </div>
+        );
+      })}
+      
+      {/* Dark overlay for text readability */}
+      <div className="absolute inset-0 bg-black/30" />
+      
+      {/* Enhanced underwater effects */}
+      <BubbleSystem density="high" className="opacity-60" />
+      <MovingLightSystem />
+      
+      {/* Content */}
+      <div className="relative z-10 min-h-screen flex items-center justify-center p-4">
+        <div className="max-w-3xl text-center">
+          {/* Dedication Text with Typewriter Effect */}
+          {showText && (
+            <div className="bg-slate-900/60 backdrop-blur-xl rounded-3xl p-8 lg:p-12 border border-white/20 shadow-2xl relative overflow-hidden">
+              <BubbleSystem density="low" className="opacity-30" />
+              
+              <div className="relative z-10">
+                <div className="inline-flex items-center justify-center w-16 h-16 bg-gradient-to-r from-pink-500 to-rose-500 rounded-full mb-6 shadow-xl">
+                  <Heart className="w-8 h-8 text-white" />
+                </div>
+                
+                <TypewriterText
+                  key={currentLang}
+                  text={dedication}
+                  className="text-white text-lg md:text-xl leading-relaxed font-medium text-center"
+                  speed={50}
+                />
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+      
+      {/* Return Button */}
+      <div className={`absolute bottom-8 ${isRTL ? 'left-8' : 'right-8'} z-20`}>
+        <RippleButton
+          onClick={handleReturn}
+          variant="ghost"
+          className="bg-slate-800/60 backdrop-blur-md text-white px-6 py-3 rounded-lg border border-white/20 hover:bg-slate-700/60 font-semibold"
+        >
+          <Compass className={`w-5 h-5 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+          {t('secretGarden.returnToSurface')}
+        </RippleButton>
+      </div>
+      
+      {/* Image indicator dots */}
+      <div className="absolute bottom-8 left-1/2 transform -translate-x-1/2 flex space-x-2 z-20">
+        {images.map((_, index) => (
+          <div
+            key={index}
+            className={`w-3 h-3 rounded-full transition-all duration-500 ${
+              index === currentImage ? 'bg-white/80 scale-125' : 'bg-white/40'
+            }`}
+          />
+        ))}
+      </div>
+    </div>
+  );
+};
+
+// Secret garden route - each garden shows its lock until it is unlocked for this session
+const SecretGardenPage = ({ params, onNavigate }) => {
+  const gardenId = params.gardenId || DEFAULT_GARDEN_ID;
+  const [gardenSession, setGardenSession] = useState(null);
+
+  // Check if the requested secret garden is unlocked
+  useEffect(() => {
+    setGardenSession(getSecretSession(gardenId));
+  }, [gardenId]);
+
+  const handleSecretReturn = () => {
+    setGardenSession(null);
+    onNavigate('home');
+  };
+
+  return gardenSession
+    ? <SecretGarden key={gardenId} garden={gardenSession.garden} onReturn={handleSecretReturn} />
+    : <SecretGardenLock key={gardenId} gardenId={gardenId} onUnlock={setGardenSession} />;
+};
+
+export default SecretGardenPage;
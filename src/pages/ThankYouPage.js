@@ -0,0 +1,60 @@
+import { Send, Fish, Compass } from 'lucide-react';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem, BubbleSystem, MovingLightSystem } from '../components/OceanEffects';
+import { RippleButton } from '../components/RippleButton';
+
+// Thank You Page
+const ThankYouPage = ({ onNavigate }) => {
+  const { t, isRTL } = useTranslation();
+
+  return (
+    <main className="pt-20 pb-16 px-4 sm:px-6 lg:px-8 min-h-screen flex items-center justify-center relative">
+      <div className="absolute inset-0 bg-gradient-to-b from-slate-900/90 via-blue-950/80 to-slate-900/90" />
+    
+      <WaveSystem intensity="medium" className="opacity-40" />
+      <BubbleSystem density="medium" className="opacity-50" />
+      <MovingLightSystem />
+    
+      <div className="max-w-3xl mx-auto text-center relative z-10">
+        <div className="bg-gradient-to-br from-slate-800/80 to-slate-900/80 backdrop-blur-xl rounded-3xl p-8 lg:p-16 border border-slate-700/60 shadow-2xl relative overflow-hidden">
+          <BubbleSystem density="low" className="opacity-20" />
+        
+          <div className="relative z-10">
+            <div className="inline-flex items-center justify-center w-20 h-20 bg-gradient-to-r from-green-500 to-emerald-500 rounded-full mb-8 shadow-2xl">
+              <Send className="w-10 h-10 text-white" />
+            </div>
+          
+            <h1 className="text-4xl lg:text-5xl font-bold text-white mb-8 font-serif bg-gradient-to-r from-green-400 to-emerald-400 bg-clip-text text-transparent">
+              {t('thankYou.title')}
+            </h1>
+          
+            <p className="text-xl text-slate-300 leading-relaxed mb-12 max-w-2xl mx-auto">
+              {t('thankYou.message')}
+            </p>
+          
+            <div className="flex flex-col sm:flex-row gap-4 justify-center">
+              <RippleButton
+                onClick={() => onNavigate('home')}
+                className="px-8 py-4 rounded-xl font-semibold shadow-xl min-h-[56px] bg-gradient-to-r from-cyan-500 to-blue-500 hover:from-cyan-400 hover:to-blue-400"
+              >
+                <Compass className={`w-5 h-5 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+                {t('thankYou.backToHome')}
+              </RippleButton>
+            
+              <RippleButton
+                onClick={() => onNavigate('about')}
+                variant="secondary"
+                className="px-8 py-4 rounded-xl font-semibold shadow-xl min-h-[56px] bg-gradient-to-r from-purple-500 to-pink-500 hover:from-purple-400 hover:to-pink-400"
+              >
+                <Fish className={`w-5 h-5 ${isRTL ? 'ml-2' : 'mr-2'}`} />
+                {t('thankYou.exploreMore')}
+              </RippleButton>
+            </div>
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default ThankYouPage;
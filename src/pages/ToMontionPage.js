@@ -0,0 +1,77 @@
+import { Compass, Heart } from 'lucide-react';
+import { useTranslation } from '../context/I18nContext';
+import { BubbleSystem, MovingLightSystem } from '../components/OceanEffects';
+import { RippleButton } from '../components/RippleButton';
+
+// Scattered glows behind the gratitude message. Fixed rather than random so the
+// prerendered page and the browser draw the same ones.
+const GRATITUDE_GLOWS = Array.from({ length: 15 }, (_, i) => {
+  const spread = (seed) => ((i + 1) * seed) % 1;
+  return {
+    width: `${Math.round(spread(0.618) * 60 + 20)}px`,
+    height: `${Math.round(spread(0.414) * 60 + 20)}px`,
+    top: `${Math.round(spread(0.732) * 100)}%`,
+    left: `${Math.round(spread(0.236) * 100)}%`,
+    animationDelay: `${(spread(0.577) * 3).toFixed(2)}s`
+  };
+});
+
+// To Montion Page
+const ToMontionPage = ({ onNavigate }) => {
+  const { t, isRTL } = useTranslation();
+
+  return (
+    <main className="min-h-screen relative overflow-hidden">
+      <div className="absolute inset-0 bg-gradient-to-br from-purple-900/60 via-pink-900/40 to-slate-900/80">
+        <div className="absolute inset-0 opacity-20">
+          {GRATITUDE_GLOWS.map((glow, i) => (
+            <div
+              key={i}
+              className="absolute rounded-full bg-gradient-to-r from-pink-400/30 to-purple-400/30 blur-xl animate-pulse"
+              style={glow}
+            />
+          ))}
+        </div>
+      </div>
+
+      <BubbleSystem density="high" className="opacity-30" />
+      <MovingLightSystem />
+
+      <div className="relative z-10 flex items-center justify-center min-h-screen p-4">
+        <div className="max-w-4xl mx-auto text-center">
+          <div className="bg-gradient-to-br from-slate-800/90 to-slate-900/90 backdrop-blur-2xl rounded-3xl p-8 lg:p-16 border border-pink-500/20 shadow-2xl relative overflow-hidden">
+            <BubbleSystem density="low" className="opacity-20" />
+          
+            <div className="mb-12 relative z-10">
+              <div className="inline-flex items-center justify-center w-20 h-20 bg-gradient-to-r from-pink-500 to-purple-500 rounded-full mb-6 shadow-2xl">
+                <Heart className="w-10 h-10 text-white" />
+              </div>
+              <h1 className="text-4xl lg:text-5xl font-bold text-white mb-8 font-serif bg-gradient-to-r from-pink-400 to-purple-400 bg-clip-text text-transparent">
+                {t('toMontion.title')}
+              </h1>
+            </div>
+          
+            <div className="prose prose-invert prose-lg max-w-none text-left relative z-10">
+              {t('toMontion.message').map((paragraph, index) => (
+                <p key={index} className="text-slate-300 leading-relaxed mb-6 text-lg last:mb-12">
+                  {paragraph}
+                </p>
+              ))}
+            </div>
+          
+            <RippleButton
+              onClick={() => onNavigate('home')}
+              variant="secondary"
+              className="px-10 py-5 rounded-full text-lg font-semibold shadow-2xl min-h-[56px] bg-gradient-to-r from-pink-500 via-purple-500 to-indigo-500 hover:from-pink-400 hover:via-purple-400 hover:to-indigo-400 relative z-10"
+            >
+              <Compass className={`w-6 h-6 ${isRTL ? 'ml-3' : 'mr-3'}`} />
+              {t('toMontion.closeMessage')}
+            </RippleButton>
+          </div>
+        </div>
+      </div>
+    </main>
+  );
+};
+
+export default ToMontionPage;
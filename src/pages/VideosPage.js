@@ -0,0 +1,100 @@
+import { useState, useMemo } from 'react';
+import { Search } from 'lucide-react';
+import { listVideos, listCategories, filterVideos, formatDuration, ALL_CATEGORIES } from '../videoCatalog';
+import { useTranslation } from '../context/I18nContext';
+import { WaveSystem, BubbleSystem } from '../components/OceanEffects';
+import { LiteYouTubeEmbed } from '../components/LiteYouTubeEmbed';
+
+const VideosPage = () => {
+  const { t, currentLang, isRTL } = useTranslation();
+  const [category, setCategory] = useState(ALL_CATEGORIES);
+  const [query, setQuery] = useState('');
+
+  const videos = useMemo(() => listVideos(currentLang), [currentLang]);
+  const categories = useMemo(() => [ALL_CATEGORIES, ...listCategories()], []);
+  const visibleVideos = useMemo(() => filterVideos(videos, { category, query }), [videos, category, query]);
+  // Filters and search only appear once there is something to narrow down
+  const canFilter = categories.length > 2;
+  const canSearch = videos.length > 1;
+
+  return (
+    <main className="pt-20 pb-16 px-4 sm:px-6 lg:px-8 bg-gradient-to-b from-slate-900 via-blue-950 to-slate-900 min-h-screen relative">
+      <WaveSystem intensity="low" className="opacity-20" />
+      <BubbleSystem density="low" className="opacity-40" />
+
+      <div className="max-w-7xl mx-auto relative z-10">
+        <div className="text-center my-12">
+          <h1 className="text-5xl font-bold text-white mb-6 font-serif bg-gradient-to-r from-cyan-400 to-blue-400 bg-clip-text text-transparent">
+            {t('videos.title')}
+          </h1>
+          <p className="text-xl text-cyan-300 font-light max-w-3xl mx-auto">{t('videos.intro')}</p>
+        </div>
+
+        {(canSearch || canFilter) && (
+          <div className="flex flex-col md:flex-row md:items-center gap-4 mb-10">
+            {canSearch && (
+              <label className="relative flex-1">
+                <span className="sr-only">{t('videos.searchLabel')}</span>
+                <Search className={`absolute top-1/2 -translate-y-1/2 ${isRTL ? 'right-4' : 'left-4'} w-5 h-5 text-slate-400 pointer-events-none`} />
+                <input
+                  type="search"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  placeholder={t('videos.searchPlaceholder')}
+                  className={`w-full ${isRTL ? 'pr-12 pl-4' : 'pl-12 pr-4'} py-3 bg-slate-800/60 border border-slate-700/50 rounded-xl text-white placeholder-slate-400 focus:outline-none focus:ring-2 focus:ring-cyan-400/60`}
+                />
+              </label>
+            )}
+
+            {canFilter && (
+              <div role="group" aria-label={t('videos.filterLabel')} className="flex flex-wrap gap-2">
+                {categories.map((name) => (
+                  <button
+                    key={name}
+                    type="button"
+                    aria-pressed={category === name}
+                    onClick={() => setCategory(name)}
+                    className={`px-4 py-2 rounded-full text-sm font-medium border transition-colors duration-300 ${
+                      category === name
+                        ? 'bg-cyan-400/15 text-cyan-300 border-cyan-400/50'
+                        : 'text-slate-300 border-slate-700/60 hover:text-cyan-300 hover:border-cyan-400/40'
+                    }`}
+                  >
+                    {name === ALL_CATEGORIES ? t('videos.allCategories') : t(`videos.categories.${name}`)}
+                  </button>
+                ))}
+              </div>
+            )}
+          </div>
+        )}
+
+        <p className="text-sm text-slate-400 mb-6" aria-live="polite">
+          {t('videos.count', { count: visibleVideos.length })}
+        </p>
+
+        {visibleVideos.length === 0 ? (
+          <p className="text-center text-slate-300 py-16">{t('videos.noResults')}</p>
+        ) : (
+          <div className="grid md:grid-cols-2 lg:grid-cols-3 gap-8">
+            {visibleVideos.map((video) => (
+              <article key={video.id} className="rounded-2xl bg-slate-800/60 backdrop-blur-sm border border-slate-700/50 overflow-hidden">
+                <LiteYouTubeEmbed videoId={video.id} title={video.title} thumbnail={video.thumbnail} className="rounded-none border-0 shadow-none" />
+                <div className="p-5">
+                  <h2 className="font-bold text-lg text-white mb-2 font-serif">{video.title}</h2>
+                  <p className="flex items-center gap-3 text-sm text-slate-400">
+                    <span>{t(`videos.categories.${video.category}`)}</span>
+                    {video.duration !== null && (
+                      <span className="tabular-nums">{formatDuration(video.duration)}</span>
+                    )}
+                  </p>
+                </div>
+              </article>
+            ))}
+          </div>
+        )}
+      </div>
+    </main>
+  );
+};
+
+export default VideosPage;
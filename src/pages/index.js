@@ -0,0 +1,38 @@
+// Page registry.
+//
+// Each page is its own chunk, loaded the first time it is shown. Header links
+// call preloadPage on hover and focus, so the code is usually there by the
+// time the page transition ends. A page that fails, including failing to
+// download, shows the error screen from PageErrorBoundary instead.
+
+import { lazy } from 'react';
+
+const lazyPage = (load) => {
+  const Page = lazy(load);
+  Page.preload = load;
+  return Page;
+};
+
+const LOADERS = {
+  home: () => import('./HomePage'),
+  about: () => import('./AboutPage'),
+  info: () => import('./InfoPage'),
+  toMontion: () => import('./ToMontionPage'),
+  videos: () => import('./VideosPage'),
+  'thank-you': () => import('./ThankYouPage'),
+  events: () => import('./EventsPage'),
+  'secret-garden': () => import('./SecretGardenPage'),
+  admin: () => import('./AdminPage')
+};
+
+export const PAGES = Object.fromEntries(Object.entries(LOADERS).map(([page, load]) => [page, lazyPage(load)]));
+
+// A lazy page keeps failing once its code could not be downloaded, so retrying starts from a fresh one
+export const reloadPage = (page) => {
+  if (LOADERS[page]) PAGES[page] = lazyPage(LOADERS[page]);
+};
+
+// Failures are left to the page's error boundary, which reports them when it renders
+export const preloadPage = (page) => {
+  PAGES[page]?.preload().catch(() => {});
+};
@@ -0,0 +1,241 @@
+// Canvas bubble particles.
+//
+// Every BubbleSystem on the page shares one engine: a single animation loop
+// steps and draws all of them, each into its own canvas. The loop only runs
+// while at least one canvas is on screen and the tab is visible, and the total
+// number of bubbles is capped by a budget from the current quality tier.
+
+const MAX_PIXEL_RATIO = 2;
+const POP_DURATION = 0.3; // seconds
+const MAX_FRAME_STEP = 0.1; // seconds, so a long stall does not teleport bubbles
+const TOUCH_SLOP = 6; // px added to the hit radius when popping
+
+// Bubbles per BubbleSystem for each density, before the global budget applies
+export const DENSITY_COUNTS = { low: 8, medium: 15, high: 25 };
+
+// `scale` comes from the current quality tier
+export const getBubbleCount = (density, scale = 1) =>
+  Math.round((DENSITY_COUNTS[density] || DENSITY_COUNTS.medium) * scale);
+
+// Bubbles start below the canvas, or anywhere in it when a system first appears
+export const createBubble = (width, height, random = Math.random, fromBottom = true) => {
+  const radius = 2.5 + random() * 10;
+  return {
+    x: random() * width,
+    y: fromBottom ? height + radius + random() * height * 0.3 : random() * height,
+    radius,
+    // Bigger bubbles are more buoyant and rise faster (px/s)
+    speed: 18 + radius * 4 + random() * 12,
+    wobblePhase: random() * Math.PI * 2,
+    wobbleSpeed: 1.5 + random() * 2,
+    wobbleAmount: 3 + random() * radius,
+    opacity: 0.2 + random() * 0.5,
+    popAge: null
+  };
+};
+
+export const bubbleX = (bubble) => bubble.x + Math.sin(bubble.wobblePhase) * bubble.wobbleAmount;
+
+// Returns the bubble after `dt` seconds - a fresh one once it has left the top or finished popping
+export const stepBubble = (bubble, dt, width, height, random = Math.random) => {
+  if (bubble.popAge !== null) {
+    bubble.popAge += dt;
+    return bubble.popAge < POP_DURATION ? bubble : createBubble(width, height, random);
+  }
+
+  bubble.y -= bubble.speed * dt;
+  bubble.wobblePhase += bubble.wobbleSpeed * dt;
+  return bubble.y < -bubble.radius * 2 ? createBubble(width, height, random) : bubble;
+};
+
+export const findBubbleAt = (bubbles, x, y) => bubbles.find((bubble) =>
+  bubble.popAge === null && Math.hypot(bubbleX(bubble) - x, bubble.y - y) <= bubble.radius + TOUCH_SLOP
+);
+
+// Pre-rendered bubble so each frame is a cheap drawImage per particle
+const createBubbleSprite = () => {
+  const size = 64;
+  const sprite = document.createElement('canvas');
+  sprite.width = size;
+  sprite.height = size;
+  const ctx = sprite.getContext('2d');
+  if (!ctx) return null;
+
+  const r = size / 2;
+  const gradient = ctx.createRadialGradient(r * 0.7, r * 0.7, r * 0.1, r, r, r);
+  gradient.addColorStop(0, 'rgba(255, 255, 255, 0.85)');
+  gradient.addColorStop(0.35, 'rgba(165, 243, 252, 0.2)');
+  gradient.addColorStop(1, 'rgba(103, 232, 249, 0.45)');
+  ctx.fillStyle = gradient;
+  ctx.beginPath();
+  ctx.arc(r, r, r - 1, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = 'rgba(165, 243, 252, 0.6)';
+  ctx.lineWidth = 1.5;
+  ctx.stroke();
+  return sprite;
+};
+
+const drawBubble = (ctx, bubble, sprite) => {
+  const x = bubbleX(bubble);
+
+  if (bubble.popAge !== null) {
+    // A popped bubble leaves a ring that expands and fades
+    const progress = bubble.popAge / POP_DURATION;
+    ctx.globalAlpha = bubble.opacity * (1 - progress);
+    ctx.strokeStyle = 'rgb(165, 243, 252)';
+    ctx.lineWidth = 1.5;
+    ctx.beginPath();
+    ctx.arc(x, bubble.y, bubble.radius * (1 + progress), 0, Math.PI * 2);
+    ctx.stroke();
+    return;
+  }
+
+  ctx.globalAlpha = bubble.opacity;
+  if (sprite) {
+    ctx.drawImage(sprite, x - bubble.radius, bubble.y - bubble.radius, bubble.radius * 2, bubble.radius * 2);
+  } else {
+    ctx.fillStyle = 'rgba(165, 243, 252, 0.35)';
+    ctx.beginPath();
+    ctx.arc(x, bubble.y, bubble.radius, 0, Math.PI * 2);
+    ctx.fill();
+  }
+};
+
+export const createParticleEngine = ({
+  requestFrame = (callback) => window.requestAnimationFrame(callback),
+  cancelFrame = (id) => window.cancelAnimationFrame(id),
+  createSprite = createBubbleSprite,
+  random = Math.random
+} = {}) => {
+  const emitters = new Set();
+  let budget = Infinity;
+  let pageVisible = true;
+  let frameId = null;
+  let lastTime = null;
+  let sprite;
+
+  // Shares the budget between systems in proportion to what each asked for
+  const rebalance = () => {
+    let requested = 0;
+    emitters.forEach((emitter) => {
+      requested += emitter.requested;
+    });
+    const scale = requested > budget ? budget / requested : 1;
+
+    emitters.forEach((emitter) => {
+      const target = Math.floor(emitter.requested * scale);
+      while (emitter.bubbles.length < target) {
+        emitter.bubbles.push(createBubble(emitter.width, emitter.height, random, false));
+      }
+      emitter.bubbles.length = target;
+    });
+  };
+
+  const draw = (emitter) => {
+    const { ctx, width, height, bubbles } = emitter;
+    ctx.globalAlpha = 1;
+    ctx.clearRect(0, 0, width, height);
+    bubbles.forEach((bubble) => drawBubble(ctx, bubble, sprite));
+  };
+
+  const isRunnable = () => {
+    if (!pageVisible) return false;
+    for (const emitter of emitters) {
+      if (emitter.visible && emitter.bubbles.length > 0) return true;
+    }
+    return false;
+  };
+
+  const frame = (time) => {
+    frameId = null;
+    const dt = lastTime === null ? 0 : Math.min((time - lastTime) / 1000, MAX_FRAME_STEP);
+    lastTime = time;
+
+    emitters.forEach((emitter) => {
+      if (!emitter.visible) return;
+      emitter.bubbles = emitter.bubbles.map((bubble) => stepBubble(bubble, dt, emitter.width, emitter.height, random));
+      draw(emitter);
+    });
+
+    schedule();
+  };
+
+  const schedule = () => {
+    if (isRunnable()) {
+      if (frameId === null) frameId = requestFrame(frame);
+      return;
+    }
+    if (frameId !== null) cancelFrame(frameId);
+    frameId = null;
+    // Resume without a jump after a pause
+    lastTime = null;
+  };
+
+  return {
+    setBudget: (value) => {
+      budget = value;
+      rebalance();
+      schedule();
+    },
+
+    setPageVisible: (visible) => {
+      pageVisible = visible;
+      schedule();
+    },
+
+    // Returns null when the canvas cannot be drawn on
+    register: (canvas, { count }) => {
+      const ctx = canvas.getContext('2d');
+      if (!ctx) return null;
+      if (sprite === undefined) sprite = createSprite();
+
+      const emitter = { canvas, ctx, requested: count, bubbles: [], width: 0, height: 0, visible: true };
+      emitters.add(emitter);
+      rebalance();
+      schedule();
+
+      return {
+        resize: (width, height, pixelRatio = 1) => {
+          const ratio = Math.min(pixelRatio, MAX_PIXEL_RATIO);
+          emitter.width = width;
+          emitter.height = height;
+          canvas.width = Math.round(width * ratio);
+          canvas.height = Math.round(height * ratio);
+          ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+          emitter.bubbles = emitter.bubbles.map(() => createBubble(width, height, random, false));
+        },
+
+        setVisible: (visible) => {
+          emitter.visible = visible;
+          schedule();
+        },
+
+        // Pops the bubble under a point in canvas coordinates; true if one was hit
+        popAt: (x, y) => {
+          const bubble = findBubbleAt(emitter.bubbles, x, y);
+          if (!bubble) return false;
+          bubble.popAge = 0;
+          return true;
+        },
+
+        remove: () => {
+          emitters.delete(emitter);
+          rebalance();
+          schedule();
+        }
+      };
+    }
+  };
+};
+
+let sharedEngine = null;
+
+export const getParticleEngine = () => {
+  if (!sharedEngine) {
+    sharedEngine = createParticleEngine();
+    sharedEngine.setPageVisible(!document.hidden);
+    document.addEventListener('visibilitychange', () => sharedEngine.setPageVisible(!document.hidden));
+  }
+  return sharedEngine;
+};
@@ -0,0 +1,128 @@
+import {
+  createBubble,
+  stepBubble,
+  findBubbleAt,
+  bubbleX,
+  getBubbleCount,
+  createParticleEngine
+} from './particleEngine';
+
+// Deterministic stand-in for Math.random
+const sequence = (...values) => {
+  let index = 0;
+  return () => values[index++ % values.length];
+};
+
+const createFakeCanvas = () => {
+  const ctx = {
+    setTransform: jest.fn(),
+    clearRect: jest.fn(),
+    drawImage: jest.fn(),
+    beginPath: jest.fn(),
+    arc: jest.fn(),
+    fill: jest.fn(),
+    stroke: jest.fn()
+  };
+  return { ctx, getContext: () => ctx };
+};
+
+const createFrameQueue = () => {
+  const queue = new Map();
+  let nextId = 1;
+  return {
+    requestFrame: (callback) => {
+      queue.set(nextId, callback);
+      return nextId++;
+    },
+    cancelFrame: (id) => queue.delete(id),
+    pending: () => queue.size,
+    run: (time) => {
+      const callbacks = Array.from(queue.values());
+      queue.clear();
+      callbacks.forEach((callback) => callback(time));
+    }
+  };
+};
+
+test('bubbles rise with a wobble and respawn below the canvas', () => {
+  const bubble = createBubble(300, 200, sequence(0.5));
+  const { y, wobblePhase } = bubble;
+
+  stepBubble(bubble, 0.5, 300, 200);
+  expect(bubble.y).toBeCloseTo(y - bubble.speed * 0.5);
+  expect(bubble.wobblePhase).toBeGreaterThan(wobblePhase);
+
+  bubble.y = -100;
+  const respawned = stepBubble(bubble, 0.016, 300, 200);
+  expect(respawned).not.toBe(bubble);
+  expect(respawned.y).toBeGreaterThan(200);
+});
+
+test('larger bubbles rise faster', () => {
+  const small = createBubble(100, 100, sequence(0, 0.5));
+  const large = createBubble(100, 100, sequence(1, 0.5));
+  expect(large.radius).toBeGreaterThan(small.radius);
+  expect(large.speed).toBeGreaterThan(small.speed);
+});
+
+test('popped bubbles are hit-tested, animate and then respawn', () => {
+  const bubble = createBubble(300, 200, sequence(0.5), false);
+  expect(findBubbleAt([bubble], bubbleX(bubble), bubble.y)).toBe(bubble);
+  expect(findBubbleAt([bubble], bubbleX(bubble) + 100, bubble.y)).toBeUndefined();
+
+  bubble.popAge = 0;
+  expect(findBubbleAt([bubble], bubbleX(bubble), bubble.y)).toBeUndefined();
+  expect(stepBubble(bubble, 0.1, 300, 200)).toBe(bubble);
+  expect(stepBubble(bubble, 0.5, 300, 200)).not.toBe(bubble);
+});
+
+test('scales the bubbles requested for each density', () => {
+  expect(getBubbleCount('high')).toBe(25);
+  expect(getBubbleCount('high', 0.5)).toBe(13);
+  expect(getBubbleCount('low', 0)).toBe(0);
+  expect(getBubbleCount('unknown')).toBe(15);
+});
+
+test('shares the budget between systems and runs one loop for all of them', () => {
+  const frames = createFrameQueue();
+  const engine = createParticleEngine({ ...frames, createSprite: () => null });
+  engine.setBudget(20);
+
+  const first = createFakeCanvas();
+  const second = createFakeCanvas();
+  const a = engine.register(first, { count: 30 });
+  const b = engine.register(second, { count: 10 });
+  a.resize(200, 100);
+  b.resize(200, 100);
+  expect(frames.pending()).toBe(1);
+
+  frames.run(0);
+  frames.run(16);
+  // 30:10 scaled down to a total of 20
+  expect(first.ctx.arc).toHaveBeenCalledTimes(15 * 2);
+  expect(second.ctx.arc).toHaveBeenCalledTimes(5 * 2);
+
+  b.remove();
+  a.remove();
+  expect(frames.pending()).toBe(0);
+});
+
+test('pauses while the tab is hidden or every system is off screen', () => {
+  const frames = createFrameQueue();
+  const engine = createParticleEngine({ ...frames, createSprite: () => null });
+  const emitter = engine.register(createFakeCanvas(), { count: 5 });
+  expect(frames.pending()).toBe(1);
+
+  engine.setPageVisible(false);
+  expect(frames.pending()).toBe(0);
+  engine.setPageVisible(true);
+  expect(frames.pending()).toBe(1);
+
+  emitter.setVisible(false);
+  expect(frames.pending()).toBe(0);
+});
+
+test('skips canvases without a 2d context', () => {
+  const engine = createParticleEngine({ ...createFrameQueue() });
+  expect(engine.register({ getContext: () => null }, { count: 5 })).toBeNull();
+});
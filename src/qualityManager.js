@@ -0,0 +1,126 @@
+// Adaptive visual quality.
+//
+// The app starts at a tier guessed from the device and then watches the real
+// frame rate: sustained drops step the tier down, and a long run of smooth
+// frames steps it back up, never above what the device started with. Lite mode
+// is the visitor's own choice and pins the lowest tier.
+
+export const QUALITY_TIERS = ['lite', 'low', 'medium', 'high'];
+
+// What each tier may draw; bubbleScale multiplies every BubbleSystem's density
+export const QUALITY_SETTINGS = {
+  lite: { bubbleBudget: 0, bubbleScale: 0, blur: false, lights: false, waves: false, transitions: false },
+  low: { bubbleBudget: 40, bubbleScale: 0.5, blur: false, lights: false, waves: false, transitions: true },
+  medium: { bubbleBudget: 90, bubbleScale: 0.75, blur: true, lights: false, waves: true, transitions: true },
+  high: { bubbleBudget: 150, bubbleScale: 1, blur: true, lights: true, waves: true, transitions: true }
+};
+
+const LITE_MODE_KEY = 'lite-mode';
+
+const SAMPLE_WINDOW_MS = 2000;
+const LOW_FPS = 40;
+const HIGH_FPS = 55;
+const SLOW_SAMPLES_TO_STEP_DOWN = 2;
+const SMOOTH_SAMPLES_TO_STEP_UP = 5;
+
+export const detectDeviceTier = (nav = navigator) => {
+  const cores = nav.hardwareConcurrency || 0;
+  const memory = nav.deviceMemory;
+  if (cores >= 4 && (!memory || memory >= 4)) return 'high';
+  if (cores >= 2 && (!memory || memory >= 2)) return 'medium';
+  return 'low';
+};
+
+export const loadLiteMode = (storage = window.localStorage) => {
+  try {
+    return storage.getItem(LITE_MODE_KEY) === 'on';
+  } catch (error) {
+    return false;
+  }
+};
+
+export const saveLiteMode = (enabled, storage = window.localStorage) => {
+  try {
+    if (enabled) storage.setItem(LITE_MODE_KEY, 'on');
+    else storage.removeItem(LITE_MODE_KEY);
+  } catch (error) {}
+};
+
+// Steps between 'low' and the device's tier based on frame-rate samples
+export const createQualityController = ({ maxTier, onChange = () => {} }) => {
+  const minIndex = QUALITY_TIERS.indexOf('low');
+  const maxIndex = QUALITY_TIERS.indexOf(maxTier);
+  let index = maxIndex;
+  let slowSamples = 0;
+  let smoothSamples = 0;
+
+  const moveTo = (nextIndex) => {
+    index = nextIndex;
+    slowSamples = 0;
+    smoothSamples = 0;
+    onChange(QUALITY_TIERS[index]);
+  };
+
+  return {
+    getTier: () => QUALITY_TIERS[index],
+
+    reportFps: (fps) => {
+      if (fps < LOW_FPS) {
+        smoothSamples = 0;
+        slowSamples += 1;
+        if (slowSamples >= SLOW_SAMPLES_TO_STEP_DOWN && index > minIndex) moveTo(index - 1);
+      } else if (fps >= HIGH_FPS) {
+        slowSamples = 0;
+        smoothSamples += 1;
+        if (smoothSamples >= SMOOTH_SAMPLES_TO_STEP_UP && index < maxIndex) moveTo(index + 1);
+      } else {
+        slowSamples = 0;
+        smoothSamples = 0;
+      }
+    }
+  };
+};
+
+// Averages frames per second over fixed windows and reports each window
+export const createFpsMonitor = ({
+  onSample,
+  windowMs = SAMPLE_WINDOW_MS,
+  requestFrame = (callback) => window.requestAnimationFrame(callback),
+  cancelFrame = (id) => window.cancelAnimationFrame(id)
+}) => {
+  let frameId = null;
+  let windowStart = null;
+  let lastTime = null;
+  let frames = 0;
+
+  const frame = (time) => {
+    // A gap this long means the tab was in the background; start a fresh window
+    if (lastTime !== null && time - lastTime > 1000) windowStart = null;
+    lastTime = time;
+
+    if (windowStart === null) {
+      windowStart = time;
+      frames = 0;
+    } else {
+      frames += 1;
+      if (time - windowStart >= windowMs) {
+        onSample((frames * 1000) / (time - windowStart));
+        windowStart = time;
+        frames = 0;
+      }
+    }
+    frameId = requestFrame(frame);
+  };
+
+  return {
+    start: () => {
+      if (frameId === null) frameId = requestFrame(frame);
+    },
+    stop: () => {
+      if (frameId !== null) cancelFrame(frameId);
+      frameId = null;
+      windowStart = null;
+      lastTime = null;
+    }
+  };
+};
@@ -0,0 +1,82 @@
+import { detectDeviceTier, createQualityController, createFpsMonitor, loadLiteMode, saveLiteMode } from './qualityManager';
+
+test('guesses the starting tier from cores and memory', () => {
+  expect(detectDeviceTier({ hardwareConcurrency: 8, deviceMemory: 8 })).toBe('high');
+  expect(detectDeviceTier({ hardwareConcurrency: 8 })).toBe('high');
+  expect(detectDeviceTier({ hardwareConcurrency: 4, deviceMemory: 2 })).toBe('medium');
+  expect(detectDeviceTier({ hardwareConcurrency: 1 })).toBe('low');
+});
+
+test('steps down after sustained slow frames and back up after smooth ones', () => {
+  const onChange = jest.fn();
+  const controller = createQualityController({ maxTier: 'high', onChange });
+
+  controller.reportFps(30);
+  expect(controller.getTier()).toBe('high');
+  controller.reportFps(30);
+  expect(controller.getTier()).toBe('medium');
+
+  controller.reportFps(20);
+  controller.reportFps(20);
+  controller.reportFps(20);
+  controller.reportFps(20);
+  expect(controller.getTier()).toBe('low');
+
+  for (let i = 0; i < 5; i++) controller.reportFps(60);
+  expect(controller.getTier()).toBe('medium');
+  expect(onChange.mock.calls.map(([tier]) => tier)).toEqual(['medium', 'low', 'medium']);
+});
+
+test('never rises above the device tier or drops below low', () => {
+  const controller = createQualityController({ maxTier: 'medium' });
+  for (let i = 0; i < 20; i++) controller.reportFps(60);
+  expect(controller.getTier()).toBe('medium');
+  for (let i = 0; i < 20; i++) controller.reportFps(10);
+  expect(controller.getTier()).toBe('low');
+});
+
+test('a middling sample resets both streaks', () => {
+  const controller = createQualityController({ maxTier: 'high' });
+  controller.reportFps(30);
+  controller.reportFps(48);
+  controller.reportFps(30);
+  expect(controller.getTier()).toBe('high');
+});
+
+test('samples the frame rate over fixed windows and skips background gaps', () => {
+  let callback = null;
+  const onSample = jest.fn();
+  const monitor = createFpsMonitor({
+    onSample,
+    windowMs: 1000,
+    requestFrame: (cb) => {
+      callback = cb;
+      return 1;
+    },
+    cancelFrame: () => {
+      callback = null;
+    }
+  });
+  monitor.start();
+
+  for (let time = 0; time <= 1000; time += 20) callback(time);
+  expect(onSample).toHaveBeenCalledTimes(1);
+  expect(onSample.mock.calls[0][0]).toBeCloseTo(50);
+
+  // Five seconds in the background must not count as a slow window
+  callback(6000);
+  callback(6020);
+  expect(onSample).toHaveBeenCalledTimes(1);
+
+  monitor.stop();
+  expect(callback).toBeNull();
+});
+
+test('remembers the Lite mode choice', () => {
+  localStorage.clear();
+  expect(loadLiteMode()).toBe(false);
+  saveLiteMode(true);
+  expect(loadLiteMode()).toBe(true);
+  saveLiteMode(false);
+  expect(loadLiteMode()).toBe(false);
+});
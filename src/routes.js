@@ -0,0 +1,52 @@
+// URL routing.
+//
+// Each page has its own path, optionally prefixed with a language
+// (e.g. /ar/about); English pages have no prefix. A few pages take one extra
+// segment, such as the event slug in /events/<slug>. Used by the app's router
+// and by the build scripts that list the site's pages.
+
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES } from './i18n';
+
+export const PAGE_PATHS = {
+  home: '/',
+  about: '/about',
+  info: '/info',
+  toMontion: '/to-montion',
+  videos: '/videos',
+  'thank-you': '/thank-you',
+  events: '/events',
+  'secret-garden': '/secret-garden',
+  admin: '/admin'
+};
+
+// Pages that accept an optional trailing segment, e.g. /secret-garden/<garden id>
+export const PAGE_PARAMS = {
+  events: 'slug',
+  'secret-garden': 'gardenId'
+};
+
+const findPage = (path) => Object.keys(PAGE_PATHS).find((key) => PAGE_PATHS[key] === path);
+
+export const parseLocation = (pathname = '/') => {
+  const segments = pathname.split('/').filter(Boolean);
+  const lang = SUPPORTED_LANGUAGES.includes(segments[0]) ? segments.shift() : null;
+
+  const page = findPage(`/${segments.join('/')}`);
+  if (page) return { page, lang, params: {} };
+
+  const parentPage = segments.length > 1 && findPage(`/${segments.slice(0, -1).join('/')}`);
+  if (parentPage && PAGE_PARAMS[parentPage]) {
+    return { page: parentPage, lang, params: { [PAGE_PARAMS[parentPage]]: decodeURIComponent(segments[segments.length - 1]) } };
+  }
+
+  return { page: 'home', lang, params: {} };
+};
+
+export const buildPath = (page, lang = DEFAULT_LANGUAGE, params = {}) => {
+  let path = PAGE_PATHS[page] || '/';
+  const paramValue = params[PAGE_PARAMS[page]];
+  if (paramValue) path = `${path}/${encodeURIComponent(paramValue)}`;
+
+  if (lang === DEFAULT_LANGUAGE) return path;
+  return path === '/' ? `/${lang}` : `/${lang}${path}`;
+};
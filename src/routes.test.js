@@ -0,0 +1,38 @@
+import { parseLocation, buildPath } from './routes';
+
+test('parses page and language prefix from the path', () => {
+  expect(parseLocation('/')).toEqual({ page: 'home', lang: null, params: {} });
+  expect(parseLocation('/about')).toEqual({ page: 'about', lang: null, params: {} });
+  expect(parseLocation('/ar/about')).toEqual({ page: 'about', lang: 'ar', params: {} });
+  expect(parseLocation('/ar')).toEqual({ page: 'home', lang: 'ar', params: {} });
+  expect(parseLocation('/to-montion')).toEqual({ page: 'toMontion', lang: null, params: {} });
+  expect(parseLocation('/nowhere')).toEqual({ page: 'home', lang: null, params: {} });
+  expect(parseLocation('/about/nowhere')).toEqual({ page: 'home', lang: null, params: {} });
+});
+
+test('routes each private garden to its own path', () => {
+  expect(parseLocation('/secret-garden')).toEqual({ page: 'secret-garden', lang: null, params: {} });
+  expect(parseLocation('/ar/secret-garden/night-roses')).toEqual({
+    page: 'secret-garden',
+    lang: 'ar',
+    params: { gardenId: 'night-roses' }
+  });
+  expect(buildPath('secret-garden', 'en', { gardenId: 'night-roses' })).toBe('/secret-garden/night-roses');
+});
+
+test('routes each event to its own page', () => {
+  expect(parseLocation('/events')).toEqual({ page: 'events', lang: null, params: {} });
+  expect(parseLocation('/fr/events/abyssal-creatures')).toEqual({
+    page: 'events',
+    lang: 'fr',
+    params: { slug: 'abyssal-creatures' }
+  });
+  expect(buildPath('events', 'ar', { slug: 'shipwreck-chronicles' })).toBe('/ar/events/shipwreck-chronicles');
+});
+
+test('builds canonical paths for every page', () => {
+  expect(buildPath('home', 'en')).toBe('/');
+  expect(buildPath('home', 'ar')).toBe('/ar');
+  expect(buildPath('info', 'en')).toBe('/info');
+  expect(buildPath('secret-garden', 'ar')).toBe('/ar/secret-garden');
+});
@@ -0,0 +1,57 @@
+// Secret garden unlocking.
+//
+// Each private garden has its own access code. Codes are never checked in
+// the browser: they are sent to the verification endpoint, which compares
+// them against salted hashes, enforces the attempt limit and says how long the
+// garden may stay open. The garden's images and dedication ship only as
+// ciphertext and are decrypted here with the same code once it is accepted.
+// The decrypted garden is kept for the browser session, until that time.
+
+import { requestJson } from './apiClient';
+import { decryptGardenContent } from './gardenCrypto';
+import encryptedGardens from './data/gardens.encrypted.json';
+
+const VERIFY_ENDPOINT = process.env.REACT_APP_SECRET_GARDEN_ENDPOINT || '/api/secret-garden/verify';
+const SESSION_KEY_PREFIX = 'secretGardenSession:';
+
+export const DEFAULT_GARDEN_ID = process.env.REACT_APP_DEFAULT_GARDEN || 'coral-roses';
+export const MAX_SECRET_ATTEMPTS = 5;
+
+const sessionKey = (gardenId) => `${SESSION_KEY_PREFIX}${gardenId}`;
+
+const unlockGarden = async (gardenId, code) => {
+  const envelope = encryptedGardens.gardens.find((garden) => garden.id === gardenId);
+  if (!envelope) throw new Error(`No encrypted content for garden "${gardenId}"`);
+
+  const { images, dedication } = await decryptGardenContent(envelope, code);
+  return {
+    id: gardenId,
+    images: images.map((src, index) => ({ src, gradient: envelope.gradients[index] })),
+    dedication
+  };
+};
+
+export const verifySecretCode = async (gardenId, code) => {
+  const { expiresAt } = await requestJson(VERIFY_ENDPOINT, {
+    method: 'POST',
+    body: { gardenId, code }
+  });
+  const garden = await unlockGarden(gardenId, code);
+  const session = { expiresAt, garden };
+  sessionStorage.setItem(sessionKey(gardenId), JSON.stringify(session));
+  return session;
+};
+
+export const getSecretSession = (gardenId) => {
+  try {
+    const session = JSON.parse(sessionStorage.getItem(sessionKey(gardenId)));
+    if (session && session.expiresAt > Date.now()) return session;
+  } catch (error) {}
+
+  sessionStorage.removeItem(sessionKey(gardenId));
+  return null;
+};
+
+export const clearSecretSession = (gardenId) => {
+  sessionStorage.removeItem(sessionKey(gardenId));
+};
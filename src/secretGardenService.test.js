@@ -0,0 +1,69 @@
+import { verifySecretCode, getSecretSession, clearSecretSession } from './secretGardenService';
+import { decryptGardenContent } from './gardenCrypto';
+
+jest.mock('./gardenCrypto', () => ({ decryptGardenContent: jest.fn() }));
+jest.mock('./data/gardens.encrypted.json', () => ({
+  gardens: [{ id: 'coral-roses', gradients: ['from-pink-500 to-red-500'], kdf: {}, iv: '', ciphertext: '' }]
+}));
+
+const dedication = { en: 'Roses beneath the sea', ar: 'ورود تحت البحر' };
+const garden = {
+  id: 'coral-roses',
+  images: [{ src: '/images/secret-garden/coral-garden-1.jpg', gradient: 'from-pink-500 to-red-500' }],
+  dedication
+};
+
+beforeEach(() => {
+  decryptGardenContent.mockResolvedValue({ images: ['/images/secret-garden/coral-garden-1.jpg'], dedication });
+});
+
+const respondWith = (status, body) => {
+  global.fetch = jest.fn().mockResolvedValue({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(body)
+  });
+};
+
+afterEach(() => {
+  delete global.fetch;
+  sessionStorage.clear();
+  jest.clearAllMocks();
+});
+
+test('decrypts the garden and keeps it until the session expires', async () => {
+  respondWith(200, { expiresAt: Date.now() + 60000 });
+
+  await expect(verifySecretCode('coral-roses', 'coral')).resolves.toEqual(expect.objectContaining({ garden }));
+  expect(global.fetch).toHaveBeenCalledWith('/api/secret-garden/verify', expect.objectContaining({
+    method: 'POST',
+    body: JSON.stringify({ gardenId: 'coral-roses', code: 'coral' })
+  }));
+  expect(decryptGardenContent).toHaveBeenCalledWith(expect.objectContaining({ id: 'coral-roses' }), 'coral');
+  expect(getSecretSession('coral-roses')).toEqual(expect.objectContaining({ garden }));
+
+  clearSecretSession('coral-roses');
+  expect(getSecretSession('coral-roses')).toBeNull();
+});
+
+test('only unlocks the garden the code was entered for', async () => {
+  respondWith(200, { expiresAt: Date.now() + 60000 });
+
+  await verifySecretCode('coral-roses', 'coral');
+  expect(getSecretSession('night-roses')).toBeNull();
+});
+
+test('surfaces the remaining attempts reported by the server', async () => {
+  respondWith(401, { error: 'Wrong code', details: { attemptsRemaining: 3 } });
+
+  const error = await verifySecretCode('coral-roses', 'nope').catch((e) => e);
+  expect(error.status).toBe(401);
+  expect(error.details.attemptsRemaining).toBe(3);
+  expect(decryptGardenContent).not.toHaveBeenCalled();
+  expect(getSecretSession('coral-roses')).toBeNull();
+});
+
+test('discards expired sessions', () => {
+  sessionStorage.setItem('secretGardenSession:coral-roses', JSON.stringify({ garden, expiresAt: Date.now() - 1 }));
+  expect(getSecretSession('coral-roses')).toBeNull();
+});
@@ -0,0 +1,177 @@
+// Page metadata for search engines and link previews.
+//
+// getPageMeta describes the <head> of any route: a localized title and
+// description, the canonical URL, hreflang alternates for every language, the
+// Open Graph/Twitter card image and whether the page may be indexed. The app
+// applies it to document.head on every navigation, and the build scripts use
+// the same description for sitemap.xml, so the two cannot drift apart.
+//
+// Absolute URLs start with REACT_APP_SITE_URL (e.g. https://example.com). In
+// the browser the current origin stands in when it is not set; at build time
+// pages then get no canonical, hreflang or share image tags at all, since
+// relative ones would be wrong.
+
+import { DEFAULT_LANGUAGE, SUPPORTED_LANGUAGES, translate } from './i18n';
+import { buildPath } from './routes';
+import { getEvent, listEvents } from './eventCatalog';
+
+export const SITE_NAME = 'DiveIn4e';
+export const DEFAULT_SHARE_IMAGE = '/images/wreck.jpg';
+
+// Private or transactional pages: reachable by link, never listed in search results
+export const NOINDEX_PAGES = ['thank-you', 'secret-garden', 'admin'];
+
+// Public pages that appear in the sitemap, before event pages are added
+export const INDEXED_PAGES = ['home', 'about', 'info', 'toMontion', 'videos', 'events'];
+
+const PAGE_KEYS = [...INDEXED_PAGES, ...NOINDEX_PAGES];
+
+const OG_LOCALES = { en: 'en_US', ar: 'ar_AR', fr: 'fr_FR', es: 'es_ES' };
+
+// Search results show about this many characters of a description
+const MAX_DESCRIPTION_LENGTH = 160;
+
+// Locale keys under meta.* use camelCase page names
+const metaKey = (page) => page.replace(/-(\w)/g, (_, letter) => letter.toUpperCase());
+
+export const getSiteUrl = () => {
+  const configured = process.env.REACT_APP_SITE_URL || (typeof window === 'undefined' ? '' : window.location.origin);
+  return configured.replace(/\/+$/, '');
+};
+
+export const truncateDescription = (text, max = MAX_DESCRIPTION_LENGTH) => {
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= max) return clean;
+  // Cut at a word boundary and leave room for the ellipsis
+  const cut = clean.slice(0, max - 1);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > 0 ? cut.slice(0, lastSpace) : cut}…`;
+};
+
+const describePage = (page, lang, params) => {
+  if (page === 'events' && params.slug) {
+    const event = getEvent(params.slug, lang);
+    if (!event) {
+      return { title: translate(lang, 'events.notFound'), description: translate(lang, 'events.notFoundHint'), noindex: true };
+    }
+    return { title: event.title, description: event.description, image: event.heroImage, type: 'article' };
+  }
+
+  const key = metaKey(PAGE_KEYS.includes(page) ? page : 'home');
+  return { title: translate(lang, `meta.${key}.title`), description: translate(lang, `meta.${key}.description`) };
+};
+
+export const getPageMeta = (page, lang = DEFAULT_LANGUAGE, params = {}, siteUrl = getSiteUrl()) => {
+  const { title, description, image = DEFAULT_SHARE_IMAGE, type = 'website', noindex = false } = describePage(page, lang, params);
+  const absolute = (path) => (siteUrl ? `${siteUrl}${path}` : null);
+  const indexable = !noindex && !NOINDEX_PAGES.includes(page);
+
+  return {
+    title: page === 'home' ? title : translate(lang, 'meta.titleTemplate', { title, site: SITE_NAME }),
+    description: truncateDescription(description),
+    canonical: absolute(buildPath(page, lang, params)),
+    image: absolute(image),
+    type,
+    locale: OG_LOCALES[lang] || OG_LOCALES[DEFAULT_LANGUAGE],
+    noindex: !indexable,
+    // Private pages do not advertise their other languages
+    alternates: indexable && siteUrl
+      ? [
+          ...SUPPORTED_LANGUAGES.map((code) => ({ hreflang: code, href: absolute(buildPath(page, code, params)) })),
+          { hreflang: 'x-default', href: absolute(buildPath(page, DEFAULT_LANGUAGE, params)) }
+        ]
+      : []
+  };
+};
+
+// Every indexable route; the sitemap lists each one in every language
+export const listIndexedRoutes = () => [
+  ...INDEXED_PAGES.map((page) => ({ page, params: {} })),
+  ...listEvents(DEFAULT_LANGUAGE).map((event) => ({ page: 'events', params: { slug: event.slug } }))
+];
+
+// Also safe for HTML text and attribute values
+const escapeXml = (text) => text.replace(/[<>&'"]/g, (char) => `&#${char.charCodeAt(0)};`);
+
+export const buildSitemap = (siteUrl, routes = listIndexedRoutes()) => {
+  const urls = routes.flatMap(({ page, params }) => SUPPORTED_LANGUAGES.map((lang) => {
+    const { canonical, alternates } = getPageMeta(page, lang, params, siteUrl);
+    const links = alternates.map(({ hreflang, href }) =>
+      `    <xhtml:link rel="alternate" hreflang="${hreflang}" href="${escapeXml(href)}"/>`
+    );
+    return ['  <url>', `    <loc>${escapeXml(canonical)}</loc>`, ...links, '  </url>'].join('\n');
+  }));
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">',
+    ...urls,
+    '</urlset>',
+    ''
+  ].join('\n');
+};
+
+// Adds the sitemap to robots.txt, replacing any Sitemap line from an earlier build
+export const addSitemapToRobots = (robots, sitemapUrl) => {
+  const lines = robots.split('\n').filter((line) => !/^sitemap:/i.test(line.trim()));
+  while (lines.length && !lines[lines.length - 1].trim()) lines.pop();
+  return `${lines.join('\n')}\n\nSitemap: ${sitemapUrl}\n`;
+};
+
+// The tags a page's <head> gets besides its title, as [tag name, attributes]; a null attribute leaves the tag out
+const getHeadTags = (meta) => [
+  ['meta', { name: 'description', content: meta.description }],
+  ['meta', { name: 'robots', content: meta.noindex ? 'noindex, nofollow' : null }],
+  ['link', { rel: 'canonical', href: meta.canonical }],
+  ...meta.alternates.map(({ hreflang, href }) => ['link', { rel: 'alternate', hreflang, href }]),
+  ['meta', { property: 'og:site_name', content: SITE_NAME }],
+  ['meta', { property: 'og:type', content: meta.type }],
+  ['meta', { property: 'og:title', content: meta.title }],
+  ['meta', { property: 'og:description', content: meta.description }],
+  ['meta', { property: 'og:url', content: meta.canonical }],
+  ['meta', { property: 'og:image', content: meta.image }],
+  ['meta', { property: 'og:locale', content: meta.locale }],
+  ['meta', { name: 'twitter:card', content: 'summary_large_image' }],
+  ['meta', { name: 'twitter:title', content: meta.title }],
+  ['meta', { name: 'twitter:description', content: meta.description }],
+  ['meta', { name: 'twitter:image', content: meta.image }]
+];
+
+// Finds the existing element a tag replaces; hreflang links are replaced as a group instead
+const isOmitted = (attributes) => Object.values(attributes).includes(null);
+
+const findTag = (doc, tag, attributes) => {
+  if (tag === 'link') return attributes.hreflang ? null : doc.head.querySelector(`link[rel="${attributes.rel}"]:not([hreflang])`);
+  const key = attributes.name ? 'name' : 'property';
+  return doc.head.querySelector(`meta[${key}="${attributes[key]}"]`);
+};
+
+// Updates the tags from index.html (or a prerendered page) in place and adds any that are missing
+export const applyPageMeta = (meta, doc = document) => {
+  doc.title = meta.title;
+  doc.head.querySelectorAll('link[rel="alternate"][hreflang]').forEach((element) => element.remove());
+
+  getHeadTags(meta).forEach(([tag, attributes]) => {
+    let element = findTag(doc, tag, attributes);
+    if (isOmitted(attributes)) {
+      element?.remove();
+      return;
+    }
+    if (!element) {
+      element = doc.createElement(tag);
+      doc.head.appendChild(element);
+    }
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  });
+};
+
+// The same tags as HTML, for pages rendered at build time
+export const renderPageHead = (meta) => [
+  `<title>${escapeXml(meta.title)}</title>`,
+  ...getHeadTags(meta)
+    .filter(([, attributes]) => !isOmitted(attributes))
+    .map(([tag, attributes]) => {
+      const html = Object.entries(attributes).map(([name, value]) => `${name}="${escapeXml(value)}"`).join(' ');
+      return `<${tag} ${html}>`;
+    })
+].join('');
@@ -0,0 +1,88 @@
+import { loadLocale } from './i18n';
+import {
+  getPageMeta,
+  applyPageMeta,
+  buildSitemap,
+  addSitemapToRobots,
+  truncateDescription,
+  listIndexedRoutes,
+  renderPageHead
+} from './seo';
+
+const SITE = 'https://dive.example';
+
+beforeAll(() => loadLocale('ar'));
+
+test('describes each page in its own language with links to the others', () => {
+  const meta = getPageMeta('about', 'ar', {}, SITE);
+  expect(meta.title).toBe('المستكشف وراء الغوص العميق – DiveIn4e');
+  expect(meta.canonical).toBe('https://dive.example/ar/about');
+  expect(meta.locale).toBe('ar_AR');
+  expect(meta.noindex).toBe(false);
+  expect(meta.alternates).toEqual(expect.arrayContaining([
+    { hreflang: 'en', href: 'https://dive.example/about' },
+    { hreflang: 'ar', href: 'https://dive.example/ar/about' },
+    { hreflang: 'x-default', href: 'https://dive.example/about' }
+  ]));
+
+  expect(getPageMeta('home', 'en', {}, SITE).title).toBe('DiveIn4e – Mysteries of the Deep');
+});
+
+test('event pages share their own title, description and photo', () => {
+  const meta = getPageMeta('events', 'en', { slug: 'shipwreck-chronicles' }, SITE);
+  expect(meta.title).toBe('Shipwreck Chronicles – DiveIn4e');
+  expect(meta.type).toBe('article');
+  expect(meta.image).toMatch(/^https:\/\/dive\.example\/images\/event\d\.webp$/);
+  expect(meta.description.length).toBeLessThanOrEqual(160);
+
+  expect(getPageMeta('events', 'en', { slug: 'sunken-spaceship' }, SITE).noindex).toBe(true);
+});
+
+test('private pages are kept out of search results', () => {
+  const meta = getPageMeta('secret-garden', 'en', { gardenId: 'night-roses' }, SITE);
+  expect(meta.noindex).toBe(true);
+  expect(meta.alternates).toEqual([]);
+  expect(getPageMeta('admin', 'en', {}, SITE).noindex).toBe(true);
+});
+
+test('long descriptions are cut at a word boundary', () => {
+  expect(truncateDescription('Short and  sweet ')).toBe('Short and sweet');
+  expect(truncateDescription('one two three four', 12)).toBe('one two…');
+});
+
+test('the sitemap lists every public page and event in every language', () => {
+  const sitemap = buildSitemap(SITE);
+  expect(sitemap).toContain('<loc>https://dive.example/</loc>');
+  expect(sitemap).toContain('<loc>https://dive.example/ar/events/shipwreck-chronicles</loc>');
+  expect(sitemap).toContain('hreflang="ar" href="https://dive.example/ar/videos"');
+  expect(sitemap).not.toContain('secret-garden');
+  expect(sitemap).not.toContain('admin');
+  expect(sitemap.match(/<url>/g)).toHaveLength(listIndexedRoutes().length * 4);
+});
+
+test('robots.txt points at the sitemap once', () => {
+  const robots = addSitemapToRobots('User-agent: *\nDisallow:\n\nSitemap: https://old.example/sitemap.xml\n', `${SITE}/sitemap.xml`);
+  expect(robots).toBe('User-agent: *\nDisallow:\n\nSitemap: https://dive.example/sitemap.xml\n');
+});
+
+test('updates the document head in place', () => {
+  applyPageMeta(getPageMeta('secret-garden', 'en', {}, SITE));
+  applyPageMeta(getPageMeta('videos', 'ar', {}, SITE));
+
+  expect(document.title).toBe('مكتبة الفيديو – DiveIn4e');
+  expect(document.head.querySelectorAll('link[rel="canonical"]')).toHaveLength(1);
+  expect(document.head.querySelector('link[rel="canonical"]')).toHaveAttribute('href', 'https://dive.example/ar/videos');
+  expect(document.head.querySelectorAll('link[rel="alternate"][hreflang]')).toHaveLength(5);
+  expect(document.head.querySelector('meta[property="og:image"]')).toHaveAttribute('content', 'https://dive.example/images/wreck.jpg');
+  // The secret page's noindex does not stick to the next page
+  expect(document.head.querySelector('meta[name="robots"]')).toBeNull();
+});
+
+test('pages rendered without a site URL leave out the URL tags', () => {
+  const meta = getPageMeta('about', 'fr', {}, '');
+  expect(meta.canonical).toBeNull();
+  expect(meta.alternates).toEqual([]);
+
+  expect(renderPageHead(meta)).toContain('<meta property="og:title"');
+  expect(renderPageHead(meta)).not.toMatch(/canonical|hreflang|og:url|og:image|twitter:image/);
+});
@@ -0,0 +1,61 @@
+/* eslint-disable no-restricted-globals */
+
+// Offline support.
+//
+// react-scripts compiles this file with Workbox's InjectManifest during
+// `npm run build`, replacing self.__WB_MANIFEST with every hashed JS and CSS
+// file, so the app's code (including the lazily loaded locale catalogs) is
+// precached on install. The prerender step then swaps the built index.html,
+// which becomes the prerendered home page, for build/shell.html, the same
+// empty page under its own name.
+//
+// Pages are fetched network-first and kept for later visits; event images are
+// cached as they are seen. A page that was never visited is rendered in the
+// browser from the shell while there is no connection, and the offline page
+// in the visitor's language is the last resort.
+
+import { clientsClaim } from 'workbox-core';
+import { ExpirationPlugin } from 'workbox-expiration';
+import { matchPrecache, precacheAndRoute } from 'workbox-precaching';
+import { registerRoute, setCatchHandler, NavigationRoute } from 'workbox-routing';
+import { CacheFirst, NetworkFirst } from 'workbox-strategies';
+import { OFFLINE_PAGES, getOfflinePage } from './offlinePages';
+
+const PAGES_CACHE = 'pages';
+const IMAGES_CACHE = 'event-images';
+const OFFLINE_CACHE = 'offline-pages';
+const SHELL_URL = '/shell.html';
+
+clientsClaim();
+
+precacheAndRoute(self.__WB_MANIFEST);
+
+// API calls, the admin dashboard and direct file requests always go to the network
+registerRoute(new NavigationRoute(
+  new NetworkFirst({
+    cacheName: PAGES_CACHE,
+    networkTimeoutSeconds: 4,
+    plugins: [new ExpirationPlugin({ maxEntries: 50 })]
+  }),
+  { denylist: [/^\/api\//, /^\/(?:[a-z]{2}\/)?admin/, /\/[^/?]+\.[^/]+$/] }
+));
+
+registerRoute(
+  ({ request, url }) => request.destination === 'image' && url.origin === self.location.origin && url.pathname.startsWith('/images/'),
+  new CacheFirst({
+    cacheName: IMAGES_CACHE,
+    plugins: [new ExpirationPlugin({ maxEntries: 80, maxAgeSeconds: 30 * 24 * 60 * 60, purgeOnQuotaError: true })]
+  })
+);
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(caches.open(OFFLINE_CACHE).then((cache) => cache.addAll(Object.values(OFFLINE_PAGES))));
+});
+
+// Only pages get a fallback; failed images and API calls stay failures
+setCatchHandler(async ({ request, url }) => {
+  if (request.destination !== 'document') return Response.error();
+  return (await matchPrecache(SHELL_URL))
+    || (await caches.match(getOfflinePage(url.pathname), { cacheName: OFFLINE_CACHE }))
+    || Response.error();
+});
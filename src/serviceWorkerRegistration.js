@@ -0,0 +1,26 @@
+// Registers the service worker (src/service-worker.js) in production builds.
+//
+// Development builds never register one, so a stale cache cannot hide code
+// changes. A new version takes over once every tab running the old one has
+// been closed.
+
+const isLocalhost = () => ['localhost', '127.0.0.1', '[::1]'].includes(window.location.hostname);
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) return;
+  // Service workers only run over HTTPS, apart from on localhost
+  if (window.location.protocol !== 'https:' && !isLocalhost()) return;
+
+  window.addEventListener('load', () => {
+    navigator.serviceWorker
+      .register(`${process.env.PUBLIC_URL}/service-worker.js`)
+      .catch((error) => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+};
+
+export const unregister = () => {
+  if (!('serviceWorker' in navigator)) return;
+  navigator.serviceWorker.ready.then((registration) => registration.unregister()).catch(() => {});
+};
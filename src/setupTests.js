@@ -3,3 +3,35 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom does not implement matchMedia, which useDeviceCapabilities relies on
+Object.defineProperty(window, 'matchMedia', {
+  writable: true,
+  value: (query) => ({
+    matches: false,
+    media: query,
+    onchange: null,
+    addListener: () => {},
+    removeListener: () => {},
+    addEventListener: () => {},
+    removeEventListener: () => {},
+    dispatchEvent: () => false
+  })
+});
+
+if (!window.CSS) {
+  window.CSS = {};
+}
+if (!window.CSS.supports) {
+  window.CSS.supports = () => false;
+}
+
+// jsdom has no canvas implementation; BubbleSystem skips drawing without a context
+HTMLCanvasElement.prototype.getContext = () => null;
+
+// Web Crypto helpers used by the secret garden are missing from jsdom
+if (!global.TextEncoder) {
+  const { TextEncoder, TextDecoder } = require('util');
+  global.TextEncoder = TextEncoder;
+  global.TextDecoder = TextDecoder;
+}
@@ -0,0 +1,81 @@
+// Dive suggestion submission and moderation.
+//
+// Submissions go through a pluggable adapter so the transport can be swapped
+// (HTTP endpoint, local mock, tests) without touching the form. The default
+// adapter POSTs to REACT_APP_SUGGESTIONS_ENDPOINT, which falls back to the
+// local reference server (`npm run server`) through the dev proxy.
+
+import { requestJson } from './apiClient';
+
+export { ApiError } from './apiClient';
+
+const DEFAULT_ENDPOINT = process.env.REACT_APP_SUGGESTIONS_ENDPOINT || '/api/suggestions';
+
+// 'approved', 'planned' and 'filmed' suggestions are shown on the public voting board
+export const SUGGESTION_STATUSES = ['approved', 'planned', 'filmed', 'rejected'];
+
+// The suggestion API turns away longer titles (server/suggestions.js)
+export const MAX_TITLE_LENGTH = 200;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+export const createHttpAdapter = ({
+  endpoint = DEFAULT_ENDPOINT,
+  retries = 2,
+  retryDelay = 800,
+  fetchImpl
+} = {}) => {
+  const post = (payload) => requestJson(endpoint, { method: 'POST', body: payload, fetchImpl });
+
+  return {
+    submit: async (payload) => {
+      for (let attempt = 0; ; attempt++) {
+        try {
+          return await post(payload);
+        } catch (error) {
+          if (!error.retryable || attempt >= retries) throw error;
+          await wait(retryDelay * 2 ** attempt);
+        }
+      }
+    }
+  };
+};
+
+let activeAdapter = createHttpAdapter();
+
+export const setSubmissionAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+export const submitSuggestion = ({ title, email, lang }) =>
+  activeAdapter.submit({
+    title: title.trim(),
+    email: email.trim(),
+    lang,
+    timestamp: new Date().toISOString()
+  });
+
+// Moderation API - every call needs the admin bearer token
+export const fetchSuggestions = (token) =>
+  requestJson(DEFAULT_ENDPOINT, { token }).then(({ suggestions }) => suggestions);
+
+export const updateSuggestion = (token, id, changes) =>
+  requestJson(`${DEFAULT_ENDPOINT}/${encodeURIComponent(id)}`, { method: 'PATCH', body: changes, token })
+    .then(({ suggestion }) => suggestion);
+
+export const deleteSuggestion = (token, id) =>
+  requestJson(`${DEFAULT_ENDPOINT}/${encodeURIComponent(id)}`, { method: 'DELETE', token });
+
+const CSV_COLUMNS = ['id', 'title', 'email', 'lang', 'status', 'videoUrl', 'timestamp', 'receivedAt'];
+
+const toCsvCell = (value) => {
+  let text = value == null ? '' : String(value);
+  // Keep spreadsheet apps from evaluating user-supplied text as a formula
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const suggestionsToCsv = (suggestions) =>
+  [CSV_COLUMNS, ...suggestions.map((item) => CSV_COLUMNS.map((column) => item[column]))]
+    .map((row) => row.map(toCsvCell).join(','))
+    .join('\r\n');
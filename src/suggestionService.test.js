@@ -0,0 +1,55 @@
+import { createHttpAdapter, ApiError, suggestionsToCsv } from './suggestionService';
+
+const jsonResponse = (status, body) => ({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+const payload = { title: 'Whale fall ecosystems', email: '', lang: 'en', timestamp: '2024-01-01T00:00:00.000Z' };
+
+test('posts the suggestion as JSON to the configured endpoint', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(201, { id: 'abc' }));
+  const adapter = createHttpAdapter({ endpoint: '/custom', fetchImpl });
+
+  await expect(adapter.submit(payload)).resolves.toEqual({ id: 'abc' });
+  expect(fetchImpl).toHaveBeenCalledWith('/custom', expect.objectContaining({
+    method: 'POST',
+    body: JSON.stringify(payload)
+  }));
+});
+
+test('retries network and server errors before giving up', async () => {
+  const fetchImpl = jest.fn()
+    .mockRejectedValueOnce(new TypeError('Failed to fetch'))
+    .mockResolvedValueOnce(jsonResponse(503, {}))
+    .mockResolvedValueOnce(jsonResponse(201, { id: 'abc' }));
+  const adapter = createHttpAdapter({ fetchImpl, retries: 2, retryDelay: 0 });
+
+  await expect(adapter.submit(payload)).resolves.toEqual({ id: 'abc' });
+  expect(fetchImpl).toHaveBeenCalledTimes(3);
+});
+
+test('does not retry validation errors', async () => {
+  const fetchImpl = jest.fn().mockResolvedValue(jsonResponse(422, { error: 'Invalid suggestion', details: { title: 'required' } }));
+  const adapter = createHttpAdapter({ fetchImpl, retries: 2, retryDelay: 0 });
+
+  const error = await adapter.submit(payload).catch((e) => e);
+  expect(error).toBeInstanceOf(ApiError);
+  expect(error.status).toBe(422);
+  expect(error.details).toEqual({ title: 'required' });
+  expect(fetchImpl).toHaveBeenCalledTimes(1);
+});
+
+test('exports suggestions as escaped CSV', () => {
+  const csv = suggestionsToCsv([
+    { id: '1', title: 'Wrecks, "ghost" ships', email: '', lang: 'en', status: 'planned', timestamp: 't1', receivedAt: 'r1' },
+    { id: '2', title: '=HYPERLINK("x")', email: 'a@b.co', lang: 'ar', status: null, timestamp: 't2', receivedAt: 'r2' }
+  ]);
+
+  expect(csv.split('\r\n')).toEqual([
+    'id,title,email,lang,status,videoUrl,timestamp,receivedAt',
+    '1,"Wrecks, ""ghost"" ships",,en,planned,,t1,r1',
+    '2,"\'=HYPERLINK(""x"")",a@b.co,ar,,,t2,r2'
+  ]);
+});
@@ -0,0 +1,57 @@
+// YouTube video library.
+//
+// The Videos page and the home page's featured slot read from
+// data/videos.json. Each video has a YouTube id, a title per language (English
+// and Arabic at least), a category and optionally its duration in seconds and
+// a thumbnail URL; without one the thumbnail comes from YouTube's image host.
+
+import VIDEO_DATA from './data/videos.json';
+import { localizeText } from './i18n';
+
+export const ALL_CATEGORIES = 'all';
+
+export const getThumbnailUrl = (video) => video.thumbnail || `https://i.ytimg.com/vi/${video.id}/hqdefault.jpg`;
+
+// Case- and accent-insensitive, so "epave" finds "épave"; Arabic vowel marks are ignored too
+const normalize = (text) => text.normalize('NFD').replace(/[\u0300-\u036f\u064b-\u0652]/g, '').toLowerCase().trim();
+
+// searchText also holds the English title, so English searches work in every language
+export const localizeVideo = (video, lang) => {
+  const title = localizeText(video.title, lang);
+  return {
+    ...video,
+    title,
+    thumbnail: getThumbnailUrl(video),
+    duration: video.duration ?? null,
+    searchText: normalize(`${title} ${localizeText(video.title, 'en')}`)
+  };
+};
+
+export const listVideos = (lang, videos = VIDEO_DATA.videos) => videos.map((video) => localizeVideo(video, lang));
+
+// Categories in the order they first appear in the catalog
+export const listCategories = (videos = VIDEO_DATA.videos) =>
+  videos.reduce((categories, video) => (categories.includes(video.category) ? categories : [...categories, video.category]), []);
+
+// The configured featured video, or the first one when it is missing from the catalog
+export const getFeaturedVideo = (lang, { featured, videos } = VIDEO_DATA) => {
+  const video = videos.find((candidate) => candidate.id === featured) || videos[0];
+  return video ? localizeVideo(video, lang) : null;
+};
+
+// Filters localized videos by category and a search query
+export const filterVideos = (videos, { category = ALL_CATEGORIES, query = '' } = {}) => {
+  const needle = normalize(query);
+  return videos.filter((video) =>
+    (category === ALL_CATEGORIES || video.category === category) && (!needle || video.searchText.includes(needle))
+  );
+};
+
+// 754 -> "12:34", 3723 -> "1:02:03"
+export const formatDuration = (seconds) => {
+  const total = Math.max(0, Math.round(seconds));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor((total % 3600) / 60);
+  const secs = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+};
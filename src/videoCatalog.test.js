@@ -0,0 +1,67 @@
+import VIDEO_DATA from './data/videos.json';
+import {
+  listVideos,
+  listCategories,
+  getFeaturedVideo,
+  filterVideos,
+  formatDuration,
+  ALL_CATEGORIES
+} from './videoCatalog';
+import en from './locales/en.json';
+
+const catalog = {
+  featured: 'wreck123',
+  videos: [
+    { id: 'reef456', title: { en: 'Coral reef at dawn', ar: 'الشعاب المرجانية عند الفجر' }, category: 'wildlife', duration: 754 },
+    { id: 'wreck123', title: { en: 'Diving the old wreck', ar: 'الغوص عند الحطام', fr: "Plongée sur l'épave" }, category: 'wrecks' },
+    { id: 'mask789', title: { en: 'Clearing your mask', ar: 'تنظيف القناع' }, category: 'tutorials', thumbnail: '/images/mask.jpg' }
+  ]
+};
+
+test('the published videos are complete', () => {
+  VIDEO_DATA.videos.forEach((video) => {
+    expect(video.id).toMatch(/^[\w-]{11}$/);
+    expect(video.title.en).toBeTruthy();
+    expect(video.title.ar).toBeTruthy();
+    expect(en.videos.categories).toHaveProperty(video.category);
+  });
+  expect(VIDEO_DATA.videos.map((video) => video.id)).toContain(VIDEO_DATA.featured);
+});
+
+test('localizes videos and fills in YouTube thumbnails', () => {
+  const [reef, wreck, mask] = listVideos('fr', catalog.videos);
+  expect(reef.title).toBe('Coral reef at dawn');
+  expect(reef.thumbnail).toBe('https://i.ytimg.com/vi/reef456/hqdefault.jpg');
+  expect(wreck.title).toBe("Plongée sur l'épave");
+  expect(wreck.duration).toBeNull();
+  expect(mask.thumbnail).toBe('/images/mask.jpg');
+});
+
+test('lists categories in catalog order', () => {
+  expect(listCategories(catalog.videos)).toEqual(['wildlife', 'wrecks', 'tutorials']);
+});
+
+test('features the configured video or falls back to the first one', () => {
+  expect(getFeaturedVideo('ar', catalog).title).toBe('الغوص عند الحطام');
+  expect(getFeaturedVideo('en', { ...catalog, featured: 'gone' }).id).toBe('reef456');
+  expect(getFeaturedVideo('en', { videos: [] })).toBeNull();
+});
+
+test('filters by category and searches titles without case or accents', () => {
+  const videos = listVideos('fr', catalog.videos);
+  const ids = (filters) => filterVideos(videos, filters).map((video) => video.id);
+
+  expect(ids({ category: ALL_CATEGORIES })).toEqual(['reef456', 'wreck123', 'mask789']);
+  expect(ids({ category: 'tutorials' })).toEqual(['mask789']);
+  expect(ids({ query: 'EPAVE' })).toEqual(['wreck123']);
+  // English titles match in every language
+  expect(ids({ query: 'old wreck' })).toEqual(['wreck123']);
+  expect(ids({ category: 'wildlife', query: 'wreck' })).toEqual([]);
+  expect(filterVideos(listVideos('ar', catalog.videos), { query: 'الشعاب' }).map((video) => video.id)).toEqual(['reef456']);
+});
+
+test('formats durations as clock time', () => {
+  expect(formatDuration(59)).toBe('0:59');
+  expect(formatDuration(754)).toBe('12:34');
+  expect(formatDuration(3723)).toBe('1:02:03');
+});
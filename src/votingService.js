@@ -0,0 +1,98 @@
+// Public topic-voting board.
+//
+// Like suggestion submission, voting goes through a swappable adapter. The
+// HTTP adapter talks to REACT_APP_TOPICS_ENDPOINT (the local reference server
+// by default); setting REACT_APP_VOTING_API=mock switches to an in-memory mock
+// so the board can be tried out and tested without any backend.
+
+import { ApiError, requestJson } from './apiClient';
+
+const DEFAULT_ENDPOINT = process.env.REACT_APP_TOPICS_ENDPOINT || '/api/topics';
+const VOTER_ID_KEY = 'voterId';
+const VOTED_TOPICS_KEY = 'votedTopics';
+
+export const rankTopics = (topics) =>
+  [...topics].sort((a, b) => b.votes - a.votes || a.title.localeCompare(b.title));
+
+export const createHttpVotingAdapter = ({ endpoint = DEFAULT_ENDPOINT, fetchImpl } = {}) => ({
+  listTopics: () => requestJson(endpoint, { fetchImpl }).then(({ topics }) => topics),
+  vote: (topicId, voterId) =>
+    requestJson(`${endpoint}/${encodeURIComponent(topicId)}/votes`, { method: 'POST', body: { voterId }, fetchImpl })
+});
+
+export const SAMPLE_TOPICS = [
+  { id: 'sample-whale-fall', title: 'Whale falls: how one carcass feeds the deep for decades', status: 'approved', videoUrl: '', votes: 12 },
+  { id: 'sample-blue-holes', title: 'Inside the blue holes of the Red Sea', status: 'planned', videoUrl: '', votes: 9 },
+  { id: 'sample-wreck', title: 'The shipwreck that became a coral reef', status: 'filmed', videoUrl: 'https://www.youtube.com/watch?v=n1Nkaqf88SU', votes: 21 }
+];
+
+export const createMockVotingAdapter = ({ topics = SAMPLE_TOPICS, latency = 0 } = {}) => {
+  const state = topics.map((topic) => ({ ...topic, voters: new Set() }));
+  const respond = (value) => new Promise((resolve) => setTimeout(() => resolve(value), latency));
+
+  return {
+    listTopics: () => respond(rankTopics(state.map(({ voters, ...topic }) => topic))),
+    vote: async (topicId, voterId) => {
+      const topic = state.find((item) => item.id === topicId);
+      if (!topic) throw new ApiError('Topic not found', { status: 404 });
+      if (topic.voters.has(voterId)) {
+        throw new ApiError('Already voted', { status: 409, details: { votes: topic.votes } });
+      }
+      topic.voters.add(voterId);
+      topic.votes += 1;
+      return respond({ votes: topic.votes });
+    }
+  };
+};
+
+let activeAdapter = process.env.REACT_APP_VOTING_API === 'mock'
+  ? createMockVotingAdapter()
+  : createHttpVotingAdapter();
+
+export const setVotingAdapter = (adapter) => {
+  activeAdapter = adapter;
+};
+
+export const listTopics = () => activeAdapter.listTopics();
+
+// One vote per browser: a random voter id plus a local record of voted topics
+export const getVoterId = () => {
+  let voterId = localStorage.getItem(VOTER_ID_KEY);
+  if (!voterId) {
+    voterId = window.crypto?.randomUUID
+      ? window.crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+    localStorage.setItem(VOTER_ID_KEY, voterId);
+  }
+  return voterId;
+};
+
+export const getVotedTopics = () => {
+  try {
+    return JSON.parse(localStorage.getItem(VOTED_TOPICS_KEY)) || [];
+  } catch (error) {
+    return [];
+  }
+};
+
+const rememberVote = (topicId) => {
+  const voted = getVotedTopics();
+  if (!voted.includes(topicId)) {
+    localStorage.setItem(VOTED_TOPICS_KEY, JSON.stringify([...voted, topicId]));
+  }
+};
+
+export const voteForTopic = async (topicId) => {
+  try {
+    const result = await activeAdapter.vote(topicId, getVoterId());
+    rememberVote(topicId);
+    return result;
+  } catch (error) {
+    // The server already counted this browser's vote - keep the UI in sync
+    if (error.status === 409) {
+      rememberVote(topicId);
+      return { votes: error.details?.votes, alreadyVoted: true };
+    }
+    throw error;
+  }
+};
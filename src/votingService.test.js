@@ -0,0 +1,24 @@
+import { createMockVotingAdapter, setVotingAdapter, listTopics, voteForTopic, getVotedTopics } from './votingService';
+
+const topics = [
+  { id: 'a', title: 'Abyssal plains', status: 'approved', videoUrl: '', votes: 1 },
+  { id: 'b', title: 'Blue holes', status: 'filmed', videoUrl: 'https://youtu.be/x', votes: 3 }
+];
+
+beforeEach(() => {
+  localStorage.clear();
+  setVotingAdapter(createMockVotingAdapter({ topics }));
+});
+
+test('lists topics ranked by votes', async () => {
+  expect((await listTopics()).map((topic) => topic.id)).toEqual(['b', 'a']);
+});
+
+test('counts one vote per browser', async () => {
+  await expect(voteForTopic('a')).resolves.toEqual({ votes: 2 });
+  await expect(voteForTopic('a')).resolves.toEqual({ votes: 2, alreadyVoted: true });
+  expect(getVotedTopics()).toEqual(['a']);
+
+  const ranked = await listTopics();
+  expect(ranked.find((topic) => topic.id === 'a').votes).toBe(2);
+});